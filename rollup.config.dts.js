@@ -17,4 +17,28 @@ module.exports = [
     },
     plugins: [dts()],
   },
+  {
+    input: "dist/types/server/index.d.ts",
+    output: {
+      file: "dist/server/index.d.ts",
+      format: "es",
+    },
+    plugins: [dts()],
+  },
+  {
+    input: "dist/types/test-renderer/index.d.ts",
+    output: {
+      file: "dist/test-renderer/index.d.ts",
+      format: "es",
+    },
+    plugins: [dts()],
+  },
+  {
+    input: "dist/types/test-utils/index.d.ts",
+    output: {
+      file: "dist/test-utils/index.d.ts",
+      format: "es",
+    },
+    plugins: [dts()],
+  },
 ];
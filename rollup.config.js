@@ -8,6 +8,9 @@ const rootDir = path.resolve(__dirname);
 const input = {
   index: "src/index.js",
   "dom/index": "src/dom/index.js",
+  "server/index": "src/server/index.js",
+  "test-renderer/index": "src/test-renderer/index.js",
+  "test-utils/index": "src/test-utils/index.js",
 };
 const plugins = [
   resolve(),
@@ -1,41 +1,63 @@
+import { useContext } from "@/hooks/basic";
+import { createError } from "@/utils/error";
+
 /**
- * Creates a context object for sharing data between components.
+ * Creates a context object for sharing data between components. A component reads the value of the nearest Provider of the
+ * context above it, or the default value if there is none.
  * @param {any} defaultValue - The default value of the context.
- * @returns {{ Provider: Function, _context: { _defaultValue: any, _currentValue: any, _valueStack: any[] }}} The context object with a Provider component.
+ * @returns {{ Provider: Function, Consumer: Function, displayName: string | undefined, _context: { _defaultValue: any } }} The context object,
+ * whose `displayName` names its Provider and Consumer in component stacks.
  */
 function createContext(defaultValue) {
   const context = {
     _defaultValue: defaultValue,
-    _currentValue: defaultValue,
-    _valueStack: [defaultValue],
   };
 
-  return {
-    Provider: function ({ value, children }) {
-      context._valueStack.push(value);
-      context._currentValue = value;
-
-      const normalizedChildren = Array.isArray(children) ? children : children != null ? [children] : [];
-
-      return {
-        type: "CONTEXT_PROVIDER",
-        props: {
-          context,
-          value,
-          children: normalizedChildren,
-          _cleanup: () => {
-            if (context._valueStack.length > 1) {
-              context._valueStack.pop();
-              context._currentValue = context._valueStack[context._valueStack.length - 1];
-            } else {
-              context._currentValue = context._defaultValue;
-            }
-          },
-        },
-      };
-    },
+  const contextObject = {
+    Provider: null,
+    Consumer: null,
+    displayName: undefined,
     _context: context,
   };
+
+  /**
+   * Provides a value to the components below it.
+   * @param {{ value: any, children?: any }} props - The component props.
+   * @returns {{ type: string, props: { context: Object, value: any, children: any[] } }} The provider element.
+   */
+  function Provider({ value, children }) {
+    const normalizedChildren = Array.isArray(children) ? children : children != null ? [children] : [];
+
+    return {
+      type: "CONTEXT_PROVIDER",
+      props: {
+        context,
+        value,
+        children: normalizedChildren,
+      },
+    };
+  }
+
+  /**
+   * Renders the result of calling its child function with the context's value.
+   * @param {{ children: ((value: any) => any) | Array<(value: any) => any> }} props - The component props.
+   * @returns {any} The rendered children.
+   * @throws {Error} If the child is not a function.
+   */
+  function Consumer({ children }) {
+    const render = Array.isArray(children) ? children[0] : children;
+    if (typeof render !== "function") {
+      throw createError("CONTEXT", "Context.Consumer expects a function as its child", Consumer.displayName, undefined, { code: "INVALID_ARGUMENT" });
+    }
+    return render(useContext(contextObject));
+  }
+
+  Object.defineProperty(Provider, "displayName", { get: () => `${contextObject.displayName || "Context"}.Provider` });
+  Object.defineProperty(Consumer, "displayName", { get: () => `${contextObject.displayName || "Context"}.Consumer` });
+
+  contextObject.Provider = Provider;
+  contextObject.Consumer = Consumer;
+  return contextObject;
 }
 
 export { createContext };
@@ -14,22 +14,44 @@ function createTextElement(text) {
   };
 }
 
+/**
+ * Turns a child into an element: elements are kept as they are, and other values become text elements.
+ * @param {any} child - The child.
+ * @returns {Object} The child element.
+ */
+function toChildElement(child) {
+  return typeof child === "object" && child !== null ? child : createTextElement(child);
+}
+
+/**
+ * Normalizes children passed through a prop rather than to `createElement`, e.g. a Suspense fallback, into elements.
+ * Empty values and booleans render nothing, and strings and numbers become text elements.
+ * @param {any} children - A child or an array of children.
+ * @returns {Object[]} The child elements.
+ */
+function normalizeChildren(children) {
+  return (Array.isArray(children) ? children : [children]).filter((child) => child != null && typeof child !== "boolean").map(toChildElement);
+}
+
 /**
  * Creates a virtual DOM element
  * @param {string|Function} type - Element type (string for DOM, function for components)
  * @param {Object|null} props - Element properties
- * @param {...*} children - Child elements
+ * @param {...*} children - Child elements; functions passed to a component are kept as they are, for render-prop children
+ * such as a Context.Consumer's
  * @returns {Object} Virtual DOM element
  */
 function createElement(type, props, ...children) {
+  const keepFunctions = typeof type === "function";
+
   return {
     type: type || "FRAGMENT",
     key: props && props.key != null ? props.key : null,
     props: {
       ...((props && { ...props, key: undefined }) || {}),
-      children: children.map((child) => (typeof child === "object" && child !== null ? child : createTextElement(child))).filter(Boolean),
+      children: children.map((child) => (keepFunctions && typeof child === "function" ? child : toChildElement(child))).filter(Boolean),
     },
   };
 }
 
-export { createElement };
+export { createElement, normalizeChildren };
@@ -28,18 +28,29 @@ function defaultErrorFallback(error) {
 /**
  * Wraps a component with an error boundary.
  * @param {Function} Component - The component to wrap.
- * @param {Function} [fallbackComponent] - The fallback UI to render on error.
+ * @param {Function | {
+ *   fallback?: Function | any,
+ *   onError?: (error: Error, errorInfo: { componentStack: string }) => void,
+ *   onReset?: (details: Object) => void,
+ *   resetKeys?: any[] | ((props: Object) => any[]),
+ * }} [options] - The fallback UI to render on error, or the error boundary's props. `resetKeys` may be computed from the wrapped component's props.
  * @returns {Function} The wrapped component.
  */
-function withErrorBoundary(Component, fallbackComponent) {
+function withErrorBoundary(Component, options) {
+  const { fallback, onError, onReset, resetKeys } = typeof options === "function" ? { fallback: options } : options || {};
+
   return function WrappedWithErrorBoundary(props) {
     return createElement(
       ErrorBoundary,
       {
-        fallback: fallbackComponent || defaultErrorFallback,
-        onError: (error, errorInfo) => {
-          console.error("[Jepsh Error Boundary]", error, errorInfo);
-        },
+        fallback: fallback || defaultErrorFallback,
+        onError:
+          onError ||
+          ((error, errorInfo) => {
+            console.error("[Jepsh Error Boundary]", error, errorInfo);
+          }),
+        onReset,
+        resetKeys: typeof resetKeys === "function" ? resetKeys(props) : resetKeys,
       },
       createElement(Component, props)
     );
@@ -4,6 +4,7 @@ import {
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
@@ -26,11 +27,12 @@ import { createError } from "@/utils/error";
  *   use: (promise: Promise<any>) => any,
  *   useActionState: (action: (state: any, formData: any) => Promise<any>, initial: any) => [any, (formData: any) => Promise<void>, boolean, Error | null],
  *   useCallback: (callback: Function, deps: any[]) => Function,
- *   useContext: (context: { _context: { _currentValue: any } }) => any,
+ *   useContext: (context: { _context: { _defaultValue: any } }) => any,
+ *   useContextSelector: (context: { _context: { _defaultValue: any } }, selector: (value: any) => any, equalityFn?: (a: any, b: any) => boolean) => any,
  *   useDebugValue: (value: any, formatter?: (value: any) => any) => void,
  *   useDeferredValue: (value: any) => any,
  *   useEffect: (callback: () => void | (() => void), deps: any[] | null) => void,
- *   useImperativeHandle: (ref: { current: any }, createHandle: () => any, deps: any[] | null) => void,
+ *   useImperativeHandle: (ref: { current: any } | ((handle: any) => void) | null, createHandle: () => any, deps: any[] | null) => void,
  *   useInsertionEffect: (callback: () => void | (() => void), deps: any[] | null) => void,
  *   useLayoutEffect: (callback: () => void | (() => void), deps: any[] | null) => void,
  *   useMemo: (factory: () => any, deps: any[] | null) => any,
@@ -43,7 +45,7 @@ import { createError } from "@/utils/error";
  */
 function createHooks(name) {
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "Hooks must be called inside a component", "Unknown", "createHooks");
+    throw createError("HOOK", "Hooks must be called inside a component", "Unknown", "createHooks", { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   const getKey = (hookName) => {
@@ -67,6 +69,7 @@ function createHooks(name) {
     useActionState: (action, initial) => useActionState(getKey("useActionState"), action, initial),
     useCallback: (callback, deps) => useCallback(getKey("useCallback"), callback, deps),
     useContext: (context) => useContext(context),
+    useContextSelector: (context, selector, equalityFn) => useContextSelector(context, selector, equalityFn),
     useDebugValue: (value, formatter) => useDebugValue(getKey("useDebugValue"), value, formatter),
     useDeferredValue: (value) => useDeferredValue(getKey("useDeferredValue"), value),
     useEffect: (callback, deps) => useEffect(getKey("useEffect"), callback, deps),
@@ -1,7 +1,10 @@
 import { createElement } from "./element";
 import { createContext } from "./context";
+import { memo } from "./memo";
+import { lazy } from "./lazy";
+import { createRef, forwardRef } from "./ref";
 import { createHooks } from "./hooks";
 import { createGlobalStore, getStoreDevTools } from "./store";
 import { withErrorBoundary } from "./error-boundary";
 
-export { createElement, createContext, createHooks, createGlobalStore, withErrorBoundary, getStoreDevTools };
+export { createElement, createContext, memo, lazy, createRef, forwardRef, createHooks, createGlobalStore, withErrorBoundary, getStoreDevTools };
@@ -0,0 +1,53 @@
+import { createError } from "@/utils/error";
+import { isThenable } from "@/utils/validation";
+
+/**
+ * Defines a component that is loaded on demand, e.g. to split a route into its own chunk. The first render starts loading
+ * and suspends until the module resolves, so the component must be rendered inside a `Suspense` boundary.
+ * @param {() => PromiseLike<{ default: Function }>} load - Loads the module whose default export is the component, e.g. `() => import("./Page")`.
+ * @returns {Function} A component that renders the loaded component with its props.
+ * @throws {Error} If the loader is not a function.
+ */
+function lazy(load) {
+  if (typeof load !== "function") {
+    throw createError("LAZY", "lazy expects a function that returns a promise of a module, such as a dynamic import()", "lazy", undefined, { code: "INVALID_ARGUMENT" });
+  }
+
+  const payload = { status: "uninitialized", result: null };
+
+  const Lazy = (props) => {
+    if (payload.status === "uninitialized") {
+      const thenable = load();
+      if (!isThenable(thenable)) {
+        throw createError("LAZY", "The lazy loader must return a promise of a module, such as a dynamic import()", "Lazy", undefined, { code: "INVALID_LAZY_LOADER" });
+      }
+
+      payload.status = "pending";
+      payload.result = thenable;
+      thenable.then(
+        (module) => {
+          payload.status = "resolved";
+          payload.result = module?.default;
+        },
+        (error) => {
+          payload.status = "rejected";
+          payload.result = error;
+        }
+      );
+    }
+
+    if (payload.status === "resolved") {
+      if (typeof payload.result !== "function") {
+        throw createError("LAZY", "The module loaded by lazy must have a component as its default export", "Lazy", undefined, { code: "INVALID_LAZY_MODULE" });
+      }
+      return { type: payload.result, key: null, props };
+    }
+
+    // A pending load suspends until the module arrives; a failed one reaches the nearest error boundary.
+    throw payload.result;
+  };
+
+  return Lazy;
+}
+
+export { lazy };
@@ -0,0 +1,40 @@
+import { shallowEqual } from "@/hooks/helpers";
+import { createError } from "@/utils/error";
+
+/**
+ * Compares a memoized component's props shallowly. `createElement` gives every element a new `children` array,
+ * so children are compared item by item rather than by array identity.
+ * @param {Object} prevProps - The props of the previous render.
+ * @param {Object} nextProps - The props of the next render.
+ * @returns {boolean} True if the props are equal.
+ */
+function areMemoPropsEqual(prevProps, nextProps) {
+  const { children: prevChildren, ...prevRest } = prevProps || {};
+  const { children: nextChildren, ...nextRest } = nextProps || {};
+  return shallowEqual(prevRest, nextRest) && shallowEqual(prevChildren, nextChildren);
+}
+
+/**
+ * Wraps a pure component so that it skips rendering, and keeps its previous output, when its props are equal to the previous render's.
+ * The component still re-renders for its own state updates and for changes of contexts it reads.
+ * @param {Function} Component - The component to memoize.
+ * @param {(prevProps: Object, nextProps: Object) => boolean} [arePropsEqual] - Returns true if the props are equal; defaults to a shallow comparison.
+ * @returns {Function} The memoized component.
+ * @throws {Error} If the component or comparison is not a function.
+ */
+function memo(Component, arePropsEqual = areMemoPropsEqual) {
+  if (typeof Component !== "function") {
+    throw createError("MEMO", "memo expects a component function as its first argument", "memo", undefined, { code: "INVALID_ARGUMENT" });
+  }
+  if (typeof arePropsEqual !== "function") {
+    throw createError("MEMO", "memo expects a function as its props comparison", Component.name || "memo", undefined, { code: "INVALID_ARGUMENT" });
+  }
+
+  const Memo = (props) => Component(props);
+  Object.defineProperty(Memo, "name", { value: Component.name || "Memo" });
+  Memo._type = Component;
+  Memo._compare = arePropsEqual;
+  return Memo;
+}
+
+export { memo };
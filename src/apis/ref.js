@@ -0,0 +1,33 @@
+import { createError } from "@/utils/error";
+
+/**
+ * Creates a ref object to hold a host node or an imperative handle once it is attached, e.g. outside of a component.
+ * Inside a component, `useRef` keeps the same object across renders.
+ * @returns {{ current: any }} A ref whose `current` is null until it is attached.
+ */
+function createRef() {
+  return Object.seal({ current: null });
+}
+
+/**
+ * Defines a component that receives the `ref` it is rendered with, so the ref can be passed on to an inner element or
+ * to `useImperativeHandle` rather than being read as a prop.
+ * @param {(props: Object, ref: { current: any } | ((value: any) => void) | null) => any} render - Renders the component from its props, without `ref`, and its ref.
+ * @returns {Function} The component.
+ * @throws {Error} If the render function is not a function.
+ */
+function forwardRef(render) {
+  if (typeof render !== "function") {
+    throw createError("REF", "forwardRef expects a render function", "forwardRef", undefined, { code: "INVALID_ARGUMENT" });
+  }
+
+  const ForwardRef = (props) => {
+    const { ref = null, ...rest } = props || {};
+    return render(rest, ref);
+  };
+  Object.defineProperty(ForwardRef, "name", { value: render.name || "ForwardRef" });
+  ForwardRef._render = render;
+  return ForwardRef;
+}
+
+export { createRef, forwardRef };
@@ -1,16 +1,35 @@
 import { state as globalState } from "@/shared/global";
-import { useState, useEffect } from "@/hooks/basic";
+import { useState, useEffect, useRef } from "@/hooks/basic";
 import { createElement } from "@/apis/element";
 
 /**
- * A component for catching and handling errors in the component tree.
- * @param {{ fallback?: Function | any, onError?: (error: Error, errorInfo: { componentStack: string }) => void, children: any }} props - The component props.
+ * Checks whether any of an error boundary's reset keys changed, comparing them one by one with `Object.is`.
+ * @param {any[]} [prevKeys=[]] - The keys when the error was caught.
+ * @param {any[]} [nextKeys=[]] - The keys of the current render.
+ * @returns {boolean} True if a key was added, removed or replaced.
+ */
+function haveResetKeysChanged(prevKeys = [], nextKeys = []) {
+  return prevKeys.length !== nextKeys.length || prevKeys.some((key, i) => !Object.is(key, nextKeys[i]));
+}
+
+/**
+ * A component for catching and handling errors in the component tree. Once it shows its fallback, it re-mounts its children
+ * when one of its `resetKeys` changes or when the fallback calls `resetErrorBoundary`.
+ * @param {{
+ *   fallback?: ((error: Error, errorInfo: { componentStack: string }, resetErrorBoundary: (...args: any[]) => void) => any) | any,
+ *   onError?: (error: Error, errorInfo: { componentStack: string }) => void,
+ *   onReset?: (details: { reason: "imperative-api", args: any[] } | { reason: "keys", prev: any[], next: any[] }) => void,
+ *   resetKeys?: any[],
+ *   children: any,
+ * }} props - The component props.
  * @returns {any} The children or fallback UI if an error occurs.
  */
-function ErrorBoundary({ fallback, onError, children }) {
+function ErrorBoundary({ fallback, onError, onReset, resetKeys, children }) {
   const [hasError, setHasError] = useState("error-boundary-state", false);
   const [error, setError] = useState("error-boundary-error", null);
   const [errorInfo, setErrorInfo] = useState("error-boundary-info", null);
+  // The reset keys of the first render that showed the current error.
+  const errorKeys = useRef("error-boundary-keys", null);
 
   if (!globalState.errorBoundaryStack.find((b) => b.fiber === globalState.wipFiber)) {
     globalState.errorBoundaryStack.push({
@@ -22,16 +41,30 @@ function ErrorBoundary({ fallback, onError, children }) {
     });
   }
 
+  const resetErrorBoundary = (details) => {
+    setHasError(false);
+    setError(null);
+    setErrorInfo(null);
+    onReset?.(details);
+  };
+
+  if (!hasError) {
+    errorKeys.current = null;
+  } else if (errorKeys.current?.error !== error) {
+    errorKeys.current = { error, keys: resetKeys };
+  }
+  // Changed keys show the children again right away; the error state is cleared once this render has committed.
+  const prevKeys = errorKeys.current?.keys;
+  const didKeysChange = hasError && haveResetKeysChanged(prevKeys, resetKeys);
+
   useEffect(
     "error-boundary-reset",
     () => {
-      if (hasError) {
-        setHasError(false);
-        setError(null);
-        setErrorInfo(null);
+      if (didKeysChange) {
+        resetErrorBoundary({ reason: "keys", prev: prevKeys ?? [], next: resetKeys ?? [] });
       }
     },
-    [children]
+    [didKeysChange]
   );
 
   useEffect(
@@ -47,9 +80,9 @@ function ErrorBoundary({ fallback, onError, children }) {
     []
   );
 
-  if (hasError) {
+  if (hasError && !didKeysChange) {
     if (typeof fallback === "function") {
-      return fallback(error, errorInfo);
+      return fallback(error, errorInfo, (...args) => resetErrorBoundary({ reason: "imperative-api", args }));
     }
     return (
       fallback ||
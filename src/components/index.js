@@ -1,5 +1,7 @@
 import { ErrorBoundary } from "./error-boundary";
 
 const Fragment = "FRAGMENT";
+const Suspense = "SUSPENSE";
+const SuspenseList = "SUSPENSE_LIST";
 
-export { Fragment, ErrorBoundary };
+export { Fragment, Suspense, SuspenseList, ErrorBoundary };
@@ -0,0 +1,495 @@
+import { LANES, PRIORITY } from "./constants";
+import { setCurrentFiber } from "./fiber";
+import { flushEffects } from "./scheduler";
+import { scheduleCallback } from "./task-scheduler";
+import { captureError } from "./error-boundary";
+
+import { state as globalState } from "@/shared/global";
+import { createError, enhanceError } from "@/utils/error";
+
+/**
+ * Checks whether a fiber's host instance is the parent that its children are inserted into.
+ * @param {Object} fiber - The fiber to check.
+ * @returns {boolean} True for host elements, portals and roots.
+ */
+function isHostParent(fiber) {
+  return !!fiber.dom && fiber.type !== "FRAGMENT" && fiber.type !== "CONTEXT_PROVIDER";
+}
+
+/**
+ * Finds the host instance a fiber's host nodes are inserted into.
+ * @param {Object} fiber - The fiber.
+ * @returns {any} The parent host instance or container, or null if the fiber is detached.
+ */
+function getHostParent(fiber) {
+  let parent = fiber.parent;
+  while (parent && !isHostParent(parent)) {
+    parent = parent.parent;
+  }
+  return parent ? parent.dom : null;
+}
+
+/**
+ * Checks whether a fiber is a host element, whose instance its `ref` prop points to.
+ * @param {Object} fiber - The fiber to check.
+ * @returns {boolean} True for fibers of host elements, but not of text, portals or roots.
+ */
+function isHostComponent(fiber) {
+  return typeof fiber.type === "string" && fiber.type !== "TEXT_ELEMENT" && fiber.type !== "PORTAL" && isHostParent(fiber);
+}
+
+/**
+ * Points a ref at a value: calls a function ref with it, or sets an object ref's `current`.
+ * @param {{ current: any } | ((value: any) => void) | null | undefined} ref - The ref.
+ * @param {any} value - The host instance or handle, or null to detach the ref.
+ */
+function setRef(ref, value) {
+  if (typeof ref === "function") {
+    ref(value);
+  } else if (ref && typeof ref === "object") {
+    ref.current = value;
+  }
+}
+
+/**
+ * Runs effect cleanups, and detaches refs, for a fiber and all of its descendants.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {Object} fiber - The fiber being unmounted.
+ */
+function commitUnmount(hostConfig, fiber) {
+  if (fiber.hooks) {
+    Object.keys(fiber.hooks).forEach((key) => {
+      const hook = fiber.hooks[key];
+      if (hook?.cleanup && typeof hook.cleanup === "function") {
+        try {
+          hook.cleanup();
+        } catch (error) {
+          console.error("Error in effect cleanup:", error);
+        }
+      }
+    });
+    fiber.hooks = null;
+  }
+
+  if (isHostComponent(fiber) && fiber.props?.ref) {
+    try {
+      setRef(fiber.props.ref, null);
+    } catch (error) {
+      console.error("Error detaching ref:", error);
+    }
+  }
+
+  if (fiber.dom && fiber.type !== "PORTAL" && hostConfig.setInstanceFiber) {
+    hostConfig.setInstanceFiber(fiber.dom, null);
+  }
+
+  // A portal's children live in its container, outside the host nodes removed with its ancestors.
+  if (fiber.type === "PORTAL") {
+    let portalChild = fiber.child;
+    while (portalChild) {
+      removeHostNodes(hostConfig, portalChild, fiber.dom);
+      portalChild = portalChild.sibling;
+    }
+  }
+
+  let child = fiber.child;
+  while (child) {
+    commitUnmount(hostConfig, child);
+    child = child.sibling;
+  }
+}
+
+/**
+ * Removes the topmost host nodes of a deleted fiber subtree from their parent.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {Object} fiber - The fiber being deleted.
+ * @param {any} parentInstance - The host instance the subtree's nodes are children of.
+ */
+function removeHostNodes(hostConfig, fiber, parentInstance) {
+  if (fiber.type === "PORTAL") return;
+
+  if (fiber.dom) {
+    if (parentInstance) {
+      try {
+        hostConfig.removeChild(parentInstance, fiber.dom);
+      } catch (error) {
+        console.error("Error removing host node:", error);
+      }
+    }
+    fiber.dom = null;
+    return;
+  }
+
+  let child = fiber.child;
+  while (child) {
+    removeHostNodes(hostConfig, child, parentInstance);
+    child = child.sibling;
+  }
+}
+
+/**
+ * Handles cleanup and removal of a deleted fiber node.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {Object} fiber - The fiber node being deleted.
+ */
+function commitDeletion(hostConfig, fiber) {
+  if (!fiber) return;
+
+  const parentInstance = getHostParent(fiber);
+  commitUnmount(hostConfig, fiber);
+  removeHostNodes(hostConfig, fiber, parentInstance);
+
+  fiber.alternate = null;
+  fiber.parent = null;
+  fiber.child = null;
+  fiber.sibling = null;
+  fiber.props = null;
+}
+
+/**
+ * Returns the first host node of a fiber subtree that is already in its final position.
+ * @param {Object} fiber - The fiber to search.
+ * @returns {any} The host node, or null if the subtree has none.
+ */
+function getFirstStableHostNode(fiber) {
+  if (fiber.effectTag === "PLACEMENT" || fiber.type === "PORTAL") return null;
+  if (fiber.dom) return fiber.dom;
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    const dom = getFirstStableHostNode(child);
+    if (dom) return dom;
+  }
+  return null;
+}
+
+/**
+ * Finds the host node a placed fiber must be inserted before: the host node of the nearest following fiber that is already in place.
+ * @param {Object} fiber - The fiber being placed.
+ * @returns {any} The node to insert before, or null to append.
+ */
+function getHostSibling(fiber) {
+  let node = fiber;
+
+  while (node) {
+    for (let sibling = node.sibling; sibling; sibling = sibling.sibling) {
+      const dom = getFirstStableHostNode(sibling);
+      if (dom) return dom;
+    }
+
+    node = node.parent;
+    if (!node || isHostParent(node)) return null;
+  }
+  return null;
+}
+
+/**
+ * Collects the topmost host nodes of a fiber subtree, in order.
+ * @param {Object} fiber - The fiber whose host nodes to collect.
+ * @param {any[]} [nodes=[]] - The collected nodes.
+ * @returns {any[]} The host nodes.
+ */
+function getHostNodes(fiber, nodes = []) {
+  for (let child = fiber.child; child; child = child.sibling) {
+    if (child.type === "PORTAL") continue;
+    if (child.dom) {
+      nodes.push(child.dom);
+    } else {
+      getHostNodes(child, nodes);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Inserts a host node before a sibling, or appends it when there is none.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {any} parentInstance - The parent host instance.
+ * @param {any} node - The node to insert.
+ * @param {any} before - The node to insert before.
+ */
+function insertHostNode(hostConfig, parentInstance, node, before) {
+  if (before) {
+    hostConfig.insertBefore(parentInstance, node, before);
+  } else {
+    hostConfig.appendChild(parentInstance, node);
+  }
+}
+
+/**
+ * Applies a reused host fiber's new props to its instance.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {Object} fiber - The host fiber.
+ */
+function commitHostUpdate(hostConfig, fiber) {
+  const oldProps = fiber.alternate.props || {};
+  const newProps = fiber.props || {};
+
+  if (fiber.type === "TEXT_ELEMENT") {
+    if (oldProps.nodeValue !== newProps.nodeValue && hostConfig.commitTextUpdate) {
+      hostConfig.commitTextUpdate(fiber.dom, oldProps.nodeValue == null ? "" : String(oldProps.nodeValue), newProps.nodeValue == null ? "" : String(newProps.nodeValue));
+    }
+    return;
+  }
+
+  const updatePayload = hostConfig.prepareUpdate(fiber.dom, fiber.type, oldProps, newProps);
+  if (updatePayload != null) {
+    hostConfig.commitUpdate(fiber.dom, updatePayload, fiber.type, oldProps, newProps, fiber);
+  }
+}
+
+/**
+ * Lets the host finish setting up a placed, hydrated or updated instance once its children have been committed.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {Object} fiber - The host fiber.
+ */
+function commitFinalizeChildren(hostConfig, fiber) {
+  if (!hostConfig.finalizeChildren || !fiber.dom || typeof fiber.type !== "string" || fiber.type === "TEXT_ELEMENT" || fiber.type === "PORTAL") return;
+  if (fiber.effectTag !== "PLACEMENT" && fiber.effectTag !== "HYDRATION" && fiber.effectTag !== "UPDATE") return;
+
+  hostConfig.finalizeChildren(fiber.dom, fiber.type, fiber.props || {}, !fiber.alternate);
+}
+
+/**
+ * Detaches the refs a committed fiber is about to change: a host element's ref that was replaced, and the refs of
+ * imperative handles that are recreated. The new refs are attached once the whole tree has been committed, so a ref
+ * that moves between fibers is never cleared after it was attached.
+ * @param {Object} fiber - The committed fiber.
+ * @returns {boolean} True if the fiber has refs to attach.
+ */
+function commitDetachRefs(fiber) {
+  if (isHostComponent(fiber)) {
+    const prevRef = fiber.alternate?.props?.ref ?? null;
+    const ref = fiber.props?.ref ?? null;
+    if (fiber.alternate && prevRef === ref) return false;
+
+    setRef(prevRef, null);
+    return !!ref;
+  }
+
+  if (typeof fiber.type !== "function" || !fiber.hooks) return false;
+
+  let hasHandles = false;
+  Object.values(fiber.hooks).forEach((hook) => {
+    if (!hook?.createHandle || !hook.needsAttach) return;
+    hook.cleanup?.();
+    hook.cleanup = null;
+    hasHandles = true;
+  });
+  return hasHandles;
+}
+
+/**
+ * Attaches a committed fiber's refs: a host element's ref to its instance, or recreated imperative handles to their refs.
+ * @param {Object} fiber - The committed fiber.
+ * @throws {Error} If a handle cannot be created.
+ */
+function commitAttachRefs(fiber) {
+  if (isHostComponent(fiber)) {
+    setRef(fiber.props.ref, fiber.dom);
+    return;
+  }
+
+  Object.entries(fiber.hooks || {}).forEach(([key, hook]) => {
+    if (!hook?.createHandle || !hook.needsAttach) return;
+    hook.needsAttach = false;
+
+    const ref = hook.ref;
+    let handle;
+    try {
+      handle = hook.createHandle();
+    } catch (error) {
+      throw createError("IMPERATIVE", `Error creating imperative handle: ${error.message}`, fiber.type?.name, key, {
+        code: "IMPERATIVE_HANDLE_FAILED",
+        phase: "commit",
+        fiber,
+        cause: error,
+      });
+    }
+    setRef(ref, handle);
+    hook.cleanup = () => setRef(ref, null);
+  });
+}
+
+/**
+ * Commits changes for a single fiber node.
+ * @param {Object} hostConfig - The renderer's host config.
+ * @param {Object} fiber - The fiber node to commit.
+ * @param {Object[]} refFibers - Collects the committed fibers whose refs must be attached.
+ */
+function commitWork(hostConfig, fiber, refFibers) {
+  if (!fiber) return;
+
+  let hasRefs = false;
+
+  try {
+    const parentInstance = getHostParent(fiber);
+
+    if (fiber.effectTag !== "DELETION") {
+      setCurrentFiber(fiber);
+    }
+    if (fiber.effectTag !== "DELETION" && fiber.dom && fiber.type !== "PORTAL" && hostConfig.setInstanceFiber) {
+      hostConfig.setInstanceFiber(fiber.dom, fiber);
+    }
+
+    if (fiber.type === "PORTAL") {
+      if (fiber.effectTag === "PLACEMENT" && hostConfig.preparePortalMount) {
+        hostConfig.preparePortalMount(fiber.dom);
+      } else if (fiber.effectTag === "DELETION") {
+        commitDeletion(hostConfig, fiber);
+        return;
+      }
+    } else if (fiber.effectTag === "PLACEMENT" && fiber.dom != null) {
+      if (fiber.alternate) {
+        commitHostUpdate(hostConfig, fiber);
+      }
+      insertHostNode(hostConfig, parentInstance, fiber.dom, fiber.hydrationAnchor || getHostSibling(fiber));
+      fiber.hydrationAnchor = null;
+    } else if (fiber.effectTag === "PLACEMENT" && fiber.alternate) {
+      // A reused component or fragment that moved carries its already-mounted host nodes along.
+      const before = getHostSibling(fiber);
+      getHostNodes(fiber).forEach((node) => insertHostNode(hostConfig, parentInstance, node, before));
+    } else if (fiber.effectTag === "UPDATE" && fiber.dom != null) {
+      commitHostUpdate(hostConfig, fiber);
+    } else if (fiber.effectTag === "DELETION") {
+      commitDeletion(hostConfig, fiber);
+      return;
+    }
+
+    hasRefs = commitDetachRefs(fiber);
+  } catch (error) {
+    const enhanced = enhanceError(error, {
+      component: fiber.type?.name || "Unknown",
+      phase: "commit",
+      fiber,
+    });
+
+    if (!captureError(enhanced, fiber)) {
+      console.error("[Jepsh] Error in commitWork:", enhanced);
+    }
+  }
+
+  try {
+    if (fiber.hasReusedChildren) {
+      // The committed subtree was kept as a whole and has nothing to commit; only its top fibers move under the new parent.
+      for (let child = fiber.child; child; child = child.sibling) {
+        child.parent = fiber;
+      }
+      fiber.hasReusedChildren = false;
+    } else {
+      commitWork(hostConfig, fiber.child, refFibers);
+    }
+    commitFinalizeChildren(hostConfig, fiber);
+    if (hasRefs) refFibers.push(fiber);
+    // Committed fibers become the next render's alternates, and a kept subtree must not look like it still needs placing.
+    fiber.effectTag = null;
+    commitWork(hostConfig, fiber.sibling, refFibers);
+  } catch (error) {
+    const enhanced = enhanceError(error, {
+      phase: "commit-recursive",
+      fiber,
+    });
+
+    if (!captureError(enhanced, fiber)) {
+      console.error("[Jepsh] Error in recursive commitWork:", enhanced);
+    }
+  }
+}
+
+/**
+ * Consumes the state updates the committed render applied, keeping the ones it skipped for their own lanes' renders, and
+ * records the state it rendered as committed. Updates queued after the render read a hook's queue stay at the end of it.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root being committed.
+ */
+function commitHookUpdates(root) {
+  root.hookUpdates.forEach((update, hook) => {
+    hook.committedState = update.state;
+    hook.baseState = update.baseState;
+    hook.queue = update.baseQueue.concat(hook.queue.slice(update.processedCount));
+  });
+  root.hookUpdates = new Map();
+}
+
+/**
+ * Commits all of a root's changes to its host.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root to commit.
+ */
+function commitRoot(root) {
+  const hostConfig = root.host.hostConfig;
+
+  function runAllInsertionEffects(fiber) {
+    if (!fiber) return;
+    runAllInsertionEffects(fiber.child);
+    runAllInsertionEffects(fiber.sibling);
+  }
+
+  function runAllLayoutEffects(fiber) {
+    if (!fiber) return;
+    runAllLayoutEffects(fiber.child);
+    runAllLayoutEffects(fiber.sibling);
+  }
+
+  runAllInsertionEffects(root.wipRoot);
+  const toDelete = [...root.deletions];
+  root.deletions = [];
+  toDelete.forEach((fiber) => commitDeletion(hostConfig, fiber));
+  const refFibers = [];
+  commitWork(hostConfig, root.wipRoot.child, refFibers);
+  root.current = root.wipRoot;
+  refFibers.forEach((fiber) => {
+    try {
+      commitAttachRefs(fiber);
+    } catch (error) {
+      const enhanced = enhanceError(error, {
+        component: fiber.type?.name || "Unknown",
+        phase: "commit",
+        fiber,
+      });
+
+      if (!captureError(enhanced, fiber)) {
+        console.error("[Jepsh] Error attaching ref:", enhanced);
+      }
+    }
+  });
+  commitHookUpdates(root);
+  runAllLayoutEffects(root.current);
+
+  if (root.effectQueue.length > 0) {
+    scheduleCallback(PRIORITY.NORMAL, () => flushEffects(root));
+  }
+
+  root.wipRoot = null;
+}
+
+/**
+ * Tears down a root, running every effect cleanup and removing its host nodes.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root to unmount.
+ */
+function unmountRoot(root) {
+  root.wipRoot = null;
+  root.nextUnitOfWork = null;
+  root.deletions = [];
+  root.updateQueue = [];
+  root.effectQueue = [];
+  root.element = null;
+  root.hydration = null;
+  root.pendingLanes = LANES.NONE;
+  root.suspendedLanes = LANES.NONE;
+  root.expiredLanes = LANES.NONE;
+  root.expirationTimes.clear();
+  root.renderLanes = LANES.NONE;
+  root.hookUpdates = new Map();
+  root.interleavedUpdates = [];
+  root.callbackPriority = null;
+
+  let child = root.current?.child;
+  while (child) {
+    const next = child.sibling;
+    commitDeletion(root.host.hostConfig, child);
+    child = next;
+  }
+
+  root.current = null;
+  globalState.roots.delete(root);
+}
+
+export { commitRoot, unmountRoot };
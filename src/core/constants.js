@@ -10,6 +10,20 @@ export const PRIORITY = {
   IDLE: 4, // Lowest priority (when browser is idle)
 };
 
+/**
+ * Update lanes, as bits of a root's pending lanes. A lower bit is a higher priority.
+ * @enum {number}
+ * @readonly
+ */
+export const LANES = {
+  NONE: 0,
+  SYNC: 0b00001, // Renders without yielding
+  DEFAULT: 0b00010, // State updates and root renders
+  TRANSITION: 0b00100, // Updates inside startTransition and deferred values
+  LOW: 0b01000, // Non-urgent background updates
+  IDLE: 0b10000, // Work that can wait until nothing else is pending
+};
+
 export const isDev = typeof process !== "undefined" ? process.env.NODE_ENV !== "production" : true;
 export const globalStores = new Map();
 export const storeSubscriptions = new Map();
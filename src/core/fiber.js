@@ -0,0 +1,73 @@
+import { LANES } from "./constants";
+
+// The committed fiber of each component instance, by the instance object its fibers share across renders.
+const currentFibers = new WeakMap();
+
+/**
+ * Records a committed fiber as the current one for its component instance.
+ * @param {{ instance?: Object }} fiber - The committed fiber.
+ */
+function setCurrentFiber(fiber) {
+  if (fiber.instance) currentFibers.set(fiber.instance, fiber);
+}
+
+/**
+ * Finds the committed fiber of the component instance a fiber belongs to. Fibers captured by an earlier render,
+ * e.g. in a state setter, are replaced by newer fibers whenever the component re-renders.
+ * @param {{ instance?: Object }} fiber - A fiber of the instance.
+ * @returns {Object} The committed fiber, or the fiber itself if the instance has not been committed.
+ */
+function getCurrentFiber(fiber) {
+  return (fiber.instance && currentFibers.get(fiber.instance)) || fiber;
+}
+
+/**
+ * Reads a context's value for a rendering fiber from the nearest provider of that context above it.
+ * @param {{ parent?: any }} fiber - The rendering fiber.
+ * @param {{ _defaultValue: any }} context - The context.
+ * @returns {any} The provider's value, or the context's default value if there is no provider.
+ */
+function readContext(fiber, context) {
+  for (let node = fiber.parent; node; node = node.parent) {
+    if (node.type === "CONTEXT_PROVIDER" && node.props.context === context) return node.props.value;
+  }
+  return context._defaultValue;
+}
+
+/**
+ * Creates a work-in-progress copy of a committed fiber for a render that does not re-run it.
+ * @param {Object} current - The committed fiber.
+ * @param {Object} parent - The work-in-progress parent.
+ * @returns {Object} The copy, with no effect of its own.
+ */
+function cloneFiber(current, parent) {
+  return {
+    type: current.type,
+    key: current.key,
+    props: current.props,
+    dom: current.dom,
+    hostContext: current.hostContext,
+    parent,
+    alternate: current,
+    effectTag: null,
+    instance: current.instance,
+    hooks: current.hooks,
+    dependencies: current.dependencies,
+    lanes: current.lanes,
+    childLanes: current.childLanes,
+  };
+}
+
+/**
+ * Recomputes a fiber's child lanes from its children once its subtree has been worked on.
+ * @param {{ child?: Object, childLanes?: number }} fiber - The completed fiber.
+ */
+function mergeChildLanes(fiber) {
+  let childLanes = LANES.NONE;
+  for (let child = fiber.child; child; child = child.sibling) {
+    childLanes |= (child.lanes || LANES.NONE) | (child.childLanes || LANES.NONE);
+  }
+  fiber.childLanes = childLanes;
+}
+
+export { setCurrentFiber, getCurrentFiber, readContext, cloneFiber, mergeChildLanes };
@@ -0,0 +1,180 @@
+import { LANES, PRIORITY } from "./constants";
+import { getCurrentTime } from "./task-scheduler";
+
+// How long an update may wait in its lane before the lane is rendered without yielding or being interrupted.
+const LANE_TIMEOUTS = {
+  [LANES.SYNC]: 250,
+  [LANES.DEFAULT]: 5000,
+  [LANES.TRANSITION]: 5000,
+  [LANES.LOW]: 10000,
+  [LANES.IDLE]: 30000,
+};
+
+// The scheduler priority a root's work is run at, by the highest lane it renders.
+const LANE_PRIORITIES = {
+  [LANES.SYNC]: PRIORITY.IMMEDIATE,
+  [LANES.DEFAULT]: PRIORITY.NORMAL,
+  [LANES.TRANSITION]: PRIORITY.NORMAL,
+  [LANES.LOW]: PRIORITY.LOW,
+  [LANES.IDLE]: PRIORITY.IDLE,
+};
+
+// The lane updates made at each scheduler priority land in, outside of transitions.
+const PRIORITY_LANES = {
+  [PRIORITY.IMMEDIATE]: LANES.SYNC,
+  [PRIORITY.NORMAL]: LANES.DEFAULT,
+  [PRIORITY.LOW]: LANES.LOW,
+  [PRIORITY.IDLE]: LANES.IDLE,
+};
+
+/**
+ * Picks the highest-priority lane of a set of lanes.
+ * @param {number} lanes - A bitmask of lanes.
+ * @returns {number} The lowest set bit, or `LANES.NONE`.
+ */
+function getHighestPriorityLane(lanes) {
+  return lanes & -lanes;
+}
+
+/**
+ * Checks whether every lane of a subset is included in a set of lanes. `LANES.NONE` is a subset of every set.
+ * @param {number} set - A bitmask of lanes.
+ * @param {number} subset - The lanes to look for.
+ * @returns {boolean} True if all lanes of `subset` are in `set`.
+ */
+function isSubsetOfLanes(set, subset) {
+  return (set & subset) === subset;
+}
+
+/**
+ * Checks whether an update lane should interrupt a render of other lanes: it is of equal or higher priority.
+ * @param {number} lane - The update's lane.
+ * @param {number} renderLanes - The lanes being rendered.
+ * @returns {boolean} True if the render should restart to include the update.
+ */
+function shouldInterruptRender(lane, renderLanes) {
+  return getHighestPriorityLane(lane) <= getHighestPriorityLane(renderLanes);
+}
+
+/**
+ * Maps lanes to the scheduler priority their render runs at.
+ * @param {number} lanes - A bitmask of lanes.
+ * @returns {number} A `PRIORITY` level.
+ */
+function getLanesPriority(lanes) {
+  return LANE_PRIORITIES[getHighestPriorityLane(lanes)] ?? PRIORITY.NORMAL;
+}
+
+/**
+ * Maps a scheduler priority to the lane of the updates made at it.
+ * @param {number} priority - A `PRIORITY` level.
+ * @returns {number} The update lane; the default lane for unknown priorities.
+ */
+function getPriorityLane(priority) {
+  return PRIORITY_LANES[priority] ?? LANES.DEFAULT;
+}
+
+/**
+ * Checks whether a render works only on lanes that may keep showing the committed UI, rather than a fallback, while data loads.
+ * @param {number} lanes - The lanes being rendered.
+ * @returns {boolean} True if the render includes neither the sync nor the default lane.
+ */
+function includesOnlyNonUrgentLanes(lanes) {
+  return (lanes & (LANES.SYNC | LANES.DEFAULT)) === LANES.NONE;
+}
+
+/**
+ * Adds a lane to a root's pending lanes and starts its expiration clock if it was not already pending. A new update may
+ * change what suspended, so suspended lanes are tried again.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ * @param {number} lane - The update's lane.
+ */
+function markRootUpdated(root, lane) {
+  root.pendingLanes |= lane;
+  root.suspendedLanes = LANES.NONE;
+  if (!root.expirationTimes.has(lane)) {
+    root.expirationTimes.set(lane, getCurrentTime() + LANE_TIMEOUTS[lane]);
+  }
+}
+
+/**
+ * Moves pending lanes that have waited past their expiration time into the root's expired lanes.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ */
+function markStarvedLanesAsExpired(root) {
+  const currentTime = getCurrentTime();
+  root.expirationTimes.forEach((expirationTime, lane) => {
+    if ((root.pendingLanes & lane) !== 0 && expirationTime <= currentTime) {
+      root.expiredLanes |= lane;
+    }
+  });
+}
+
+/**
+ * Picks the lanes a root's next render works on: its highest-priority pending lane that is not suspended, along with any
+ * expired lanes.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ * @returns {number} The lanes to render, or `LANES.NONE` if nothing is pending.
+ */
+function getNextLanes(root) {
+  markStarvedLanesAsExpired(root);
+  return getHighestPriorityLane(root.pendingLanes & ~root.suspendedLanes) | (root.expiredLanes & root.pendingLanes);
+}
+
+/**
+ * Sets aside lanes whose render suspended, so the root keeps its committed tree and does not render them again until
+ * they are pinged, another update arrives or they expire.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ * @param {number} lanes - The lanes that suspended.
+ */
+function markRootSuspended(root, lanes) {
+  root.suspendedLanes |= lanes;
+}
+
+/**
+ * Makes suspended lanes available to render again once the data they waited on has settled.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ * @param {number} lanes - The lanes to retry.
+ */
+function markRootPinged(root, lanes) {
+  root.suspendedLanes &= ~lanes;
+}
+
+/**
+ * Checks whether a render must run to completion without yielding: it renders the sync lane or an expired lane.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ * @param {number} lanes - The lanes being rendered.
+ * @returns {boolean} True if the render must not yield.
+ */
+function includesBlockingLane(root, lanes) {
+  return (lanes & (LANES.SYNC | root.expiredLanes)) !== 0;
+}
+
+/**
+ * Removes rendered lanes from a root's pending and expired lanes once their render has finished.
+ * @param {ReturnType<typeof import("./root").createFiberRoot>} root - The root.
+ * @param {number} lanes - The lanes that were rendered.
+ */
+function markRootFinished(root, lanes) {
+  root.pendingLanes &= ~lanes;
+  root.expiredLanes &= ~lanes;
+  root.suspendedLanes &= ~lanes;
+  root.expirationTimes.forEach((_, lane) => {
+    if ((root.pendingLanes & lane) === 0) root.expirationTimes.delete(lane);
+  });
+}
+
+export {
+  getHighestPriorityLane,
+  isSubsetOfLanes,
+  shouldInterruptRender,
+  getLanesPriority,
+  getPriorityLane,
+  includesOnlyNonUrgentLanes,
+  markRootUpdated,
+  getNextLanes,
+  markRootSuspended,
+  markRootPinged,
+  includesBlockingLane,
+  markRootFinished,
+};
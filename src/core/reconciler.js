@@ -1,16 +1,36 @@
-import { queueEffect, resetHookCounter } from "./scheduler";
+import { LANES } from "./constants";
+import { queueEffect, resetHookCounter, scheduleUpdate } from "./scheduler";
 import { captureError } from "./error-boundary";
+import { cloneFiber, mergeChildLanes } from "./fiber";
+import { includesBlockingLane, includesOnlyNonUrgentLanes, markRootPinged, markRootSuspended } from "./lanes";
+import { ensureRootIsScheduled, interruptRender } from "./root";
 
 import { state as globalState } from "@/shared/global";
-import { enhanceError } from "@/utils/error";
+import { normalizeChildren } from "@/apis/element";
+import { createError, enhanceError } from "@/utils/error";
+import { isThenable } from "@/utils/validation";
+import { devWarn } from "@/utils/dev";
+
+// Keys of the fragments a Suspense boundary wraps its children and its fallback in, so that switching between the two
+// never reuses the fibers of one for the other.
+const SUSPENSE_PRIMARY_KEY = "suspense-primary";
+const SUSPENSE_FALLBACK_KEY = "suspense-fallback";
+
+const REVEAL_ORDERS = new Set(["forwards", "backwards", "together"]);
+const TAIL_MODES = new Set(["collapsed", "hidden"]);
 
 /**
- * Updates a function component's fiber node.
+ * Updates a function component's fiber node. A component re-run only for state updates that left its state unchanged,
+ * with the same props and context values, keeps its committed children instead of reconciling its new output.
  * @param {Object} fiber - The fiber node to update.
+ * @returns {boolean} True if the committed children are reused.
  */
 function updateFunctionComponent(fiber) {
   globalState.wipFiber = fiber;
   fiber.hookCounter = 0;
+  fiber.lanes &= ~globalState.renderingRoot.renderLanes;
+  fiber.dependencies = null;
+  fiber.didReceiveUpdate = false;
   globalState.wipFiber.hooks = globalState.wipFiber.hooks || {};
   globalState.wipFiber.layoutEffects = globalState.wipFiber.layoutEffects || {};
   globalState.wipFiber.insertionEffects = globalState.wipFiber.insertionEffects || {};
@@ -18,15 +38,14 @@ function updateFunctionComponent(fiber) {
   resetHookCounter(fiber);
 
   let children;
+  let didCaptureError = false;
 
   try {
-    if (fiber.type.name === "Provider" || fiber.props?.context) {
-      const ctx = fiber.props.context;
-      if (ctx) ctx._currentValue = fiber.props.value;
-    }
-
     children = fiber.type(fiber.props || {});
   } catch (error) {
+    // A suspending component is handled by its Suspense boundary, not by error boundaries.
+    if (isThenable(error)) throw error;
+
     const enhanced = enhanceError(error, {
       component: fiber.type.name || "Anonymous",
       phase: "render",
@@ -35,24 +54,29 @@ function updateFunctionComponent(fiber) {
 
     if (captureError(enhanced, fiber)) {
       children = [];
+      didCaptureError = true;
     } else {
       throw enhanced;
     }
   }
 
-  if (children !== undefined) {
+  if (children === undefined) return false;
+
+  const canReuseChildren = !didCaptureError && !fiber.didReceiveUpdate && fiber.effectTag !== "HYDRATION" && arePropsUnchanged(fiber) && areDependenciesUnchanged(fiber);
+  if (!canReuseChildren) {
     const normalizedChildren = Array.isArray(children) ? children : children != null ? [children] : [];
     reconcileChildren(fiber, normalizedChildren);
+  }
 
-    if (fiber.hooks) {
-      Object.keys(fiber.hooks).forEach((key) => {
-        const hook = fiber.hooks[key];
-        if (hook && hook.needsToRun && hook.callback && typeof hook.callback === "function") {
-          queueEffect(hook);
-        }
-      });
-    }
+  if (fiber.hooks) {
+    Object.keys(fiber.hooks).forEach((key) => {
+      const hook = fiber.hooks[key];
+      if (hook && hook.needsToRun && hook.callback && typeof hook.callback === "function") {
+        queueEffect(hook);
+      }
+    });
   }
+  return canReuseChildren;
 }
 
 /**
@@ -67,6 +91,268 @@ function updateHostComponent(fiber, createDom) {
   reconcileChildren(fiber, fiber.props.children || []);
 }
 
+/**
+ * Renders a Suspense boundary's children, or its fallback while something in them is suspended.
+ * @param {Object} fiber - The boundary's fiber.
+ * @param {boolean} showFallback - Whether to render the fallback.
+ */
+function updateSuspenseComponent(fiber, showFallback) {
+  const { children, fallback } = fiber.props;
+  const key = showFallback ? SUSPENSE_FALLBACK_KEY : SUSPENSE_PRIMARY_KEY;
+  fiber.lanes &= ~globalState.renderingRoot.renderLanes;
+  reconcileChildren(fiber, [{ type: "FRAGMENT", key, props: { children: normalizeChildren(showFallback ? fallback : children) } }]);
+}
+
+/**
+ * Checks whether a Suspense boundary's fiber shows its fallback.
+ * @param {Object} fiber - A fiber.
+ * @returns {boolean} True for a boundary whose children are its fallback.
+ */
+function isShowingFallback(fiber) {
+  return fiber.type === "SUSPENSE" && fiber.child?.key === SUSPENSE_FALLBACK_KEY;
+}
+
+/**
+ * Checks whether a Suspense boundary's fiber shows its children.
+ * @param {Object} fiber - A fiber.
+ * @returns {boolean} True for a boundary whose children are not its fallback.
+ */
+function isShowingContent(fiber) {
+  return fiber.type === "SUSPENSE" && fiber.child?.key === SUSPENSE_PRIMARY_KEY;
+}
+
+/**
+ * Checks whether a fiber or one of its descendants is a Suspense boundary in a given state. Fallbacks are not searched.
+ * @param {Object} fiber - The fiber whose subtree to search.
+ * @param {(fiber: Object) => boolean} predicate - The state to look for.
+ * @returns {boolean} True if a boundary matches.
+ */
+function hasSuspenseBoundary(fiber, predicate) {
+  if (predicate(fiber)) return true;
+  if (isShowingFallback(fiber)) return false;
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    if (hasSuspenseBoundary(child, predicate)) return true;
+  }
+  return false;
+}
+
+/**
+ * Marks the committed Suspense boundaries under a fiber that match a state, so the render re-runs them even where their
+ * ancestors are skipped. Fallbacks are not searched.
+ * @param {Object} fiber - The committed fiber whose descendants to mark.
+ * @param {(fiber: Object) => boolean} predicate - The state of the boundaries to mark.
+ * @param {number} lanes - The lanes being rendered.
+ * @returns {boolean} True if a boundary was marked under the fiber.
+ */
+function propagateToSuspenseBoundaries(fiber, predicate, lanes) {
+  let hasBoundary = false;
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    if (predicate(child)) {
+      child.lanes |= lanes;
+      hasBoundary = true;
+    }
+
+    if (!isShowingFallback(child) && propagateToSuspenseBoundaries(child, predicate, lanes)) {
+      child.childLanes |= lanes;
+      hasBoundary = true;
+    }
+  }
+  return hasBoundary;
+}
+
+/**
+ * Renders a SuspenseList's rows. A list re-rendered by a retry first marks the boundaries that show their fallback, so
+ * rows that were held back because of an earlier row are tried again. Once the list knows which rows to hold back,
+ * it leaves out the rows its tail hides.
+ * @param {Object} fiber - The list's fiber.
+ */
+function updateSuspenseListComponent(fiber) {
+  const { revealOrder, tail } = fiber.props;
+  const { revealState } = fiber;
+  const renderLanes = globalState.renderingRoot.renderLanes;
+  const rows = Array.isArray(fiber.props.children) ? fiber.props.children : [fiber.props.children];
+
+  if (!revealState) {
+    if (revealOrder !== undefined && !REVEAL_ORDERS.has(revealOrder)) {
+      devWarn(`"${revealOrder}" is not a supported revealOrder on SuspenseList; use "forwards", "backwards" or "together"`, "SuspenseList");
+    }
+    if (tail !== undefined && !TAIL_MODES.has(tail)) {
+      devWarn(`"${tail}" is not a supported tail on SuspenseList; use "collapsed" or "hidden"`, "SuspenseList");
+    }
+    if (fiber.alternate) propagateToSuspenseBoundaries(fiber.alternate, isShowingFallback, renderLanes);
+  }
+
+  fiber.lanes &= ~renderLanes;
+  fiber.child = null;
+  reconcileChildren(fiber, revealState ? rows.map((row, i) => (revealState.hidden.has(row?.key != null ? row.key : i) ? null : row)) : rows);
+}
+
+/**
+ * Decides which rows of a rendered SuspenseList to hold back. With `revealOrder` "forwards" or "backwards", rows after the
+ * first row still showing a fallback, in that order, show their fallbacks too, or are left out when `tail` is "collapsed"
+ * (all but that row's fallback) or "hidden" (every fallback). With "together", every row shows its fallbacks until none is
+ * suspended. If that changes what the rows show, the work under the list is thrown away and its rows are rendered again.
+ * @param {Object} fiber - The list's completed fiber.
+ * @returns {boolean} True if the list's rows must be rendered again.
+ */
+function revealSuspenseListRows(fiber) {
+  if (fiber.revealState || fiber.hasReusedChildren) return false;
+
+  const { revealOrder, tail } = fiber.props;
+  const rows = [];
+  for (let child = fiber.child; child; child = child.sibling) {
+    rows.push(child);
+  }
+
+  const forced = new Set();
+  const hidden = new Set();
+  const isSuspended = (row) => hasSuspenseBoundary(row, isShowingFallback);
+
+  if (revealOrder === "together") {
+    if (rows.some(isSuspended)) rows.forEach((row) => forced.add(row.key));
+  } else if (revealOrder === "forwards" || revealOrder === "backwards") {
+    const ordered = revealOrder === "forwards" ? rows : rows.slice().reverse();
+    const first = ordered.findIndex(isSuspended);
+
+    if (first !== -1) {
+      ordered.slice(first).forEach((row, i) => {
+        if (tail === "hidden" || (tail === "collapsed" && i > 0)) {
+          hidden.add(row.key);
+        } else if (i > 0) {
+          forced.add(row.key);
+        }
+      });
+    }
+  }
+
+  const needsRender = hidden.size > 0 || rows.some((row) => forced.has(row.key) && hasSuspenseBoundary(row, isShowingContent));
+  if (!needsRender) return false;
+
+  const renderLanes = globalState.renderingRoot.renderLanes;
+  unwindWork(fiber);
+  rows.forEach((row) => {
+    if (!forced.has(row.key) || !row.alternate) return;
+    if (isShowingContent(row.alternate)) row.alternate.lanes |= renderLanes;
+    if (propagateToSuspenseBoundaries(row.alternate, isShowingContent, renderLanes)) row.alternate.childLanes |= renderLanes;
+  });
+
+  fiber.revealState = { forced, hidden };
+  updateSuspenseListComponent(fiber);
+  return true;
+}
+
+/**
+ * Checks whether a Suspense boundary must show its fallback because its SuspenseList holds back the row it is in.
+ * @param {Object} fiber - The boundary's fiber.
+ * @returns {boolean} True if the boundary's row is held back.
+ */
+function isHeldBackByList(fiber) {
+  let row = fiber;
+  while (row.parent && row.parent.type !== "SUSPENSE_LIST") {
+    row = row.parent;
+  }
+  return !!row.parent?.revealState?.forced.has(row.key);
+}
+
+/**
+ * Finds the nearest Suspense boundary above a fiber that is not already rendering its fallback.
+ * @param {Object} fiber - The fiber that suspended.
+ * @returns {Object | null} The boundary's fiber, or null if there is none.
+ */
+function findSuspenseBoundary(fiber) {
+  let node = fiber.parent;
+  while (node && (node.type !== "SUSPENSE" || node.didSuspend)) {
+    node = node.parent;
+  }
+  return node || null;
+}
+
+/**
+ * Throws away the deletions and effects queued under a Suspense boundary or SuspenseList since it began its work, as
+ * they belong to children that will not be committed.
+ * @param {{ unwindState: { deletions: number, effectQueue: Object[], effectCount: number } }} fiber - The boundary or list.
+ */
+function unwindWork(fiber) {
+  const root = globalState.renderingRoot;
+  const { deletions, effectQueue, effectCount } = fiber.unwindState;
+
+  root.deletions.splice(deletions).forEach((deletion) => {
+    deletion.effectTag = null;
+  });
+  if (root.effectQueue === effectQueue) effectQueue.length = effectCount;
+}
+
+/**
+ * Handles a thenable thrown by a fiber under a Suspense boundary. A non-urgent render that would replace content the boundary
+ * already shows with its fallback is abandoned instead, keeping the committed tree on screen until the thenable settles.
+ * Otherwise the work done under the boundary is thrown away, the boundary renders its fallback, and it is retried once the
+ * thenable settles.
+ * @param {Object} boundary - The Suspense boundary's fiber.
+ * @param {PromiseLike<any>} thenable - The thrown thenable.
+ * @returns {Object | null} The next unit of work, or null if the render was abandoned.
+ */
+function throwException(boundary, thenable) {
+  const root = globalState.renderingRoot;
+  const lanes = root.renderLanes;
+  if (boundary.alternate && isShowingContent(boundary.alternate) && includesOnlyNonUrgentLanes(lanes) && !includesBlockingLane(root, lanes)) {
+    const ping = () => {
+      markRootPinged(root, lanes);
+      ensureRootIsScheduled(root);
+    };
+    thenable.then(ping, ping);
+    markRootSuspended(root, lanes);
+    interruptRender(root);
+    return null;
+  }
+
+  // A boundary in a SuspenseList is retried through the list, which decides which of its rows to reveal.
+  let retryFiber = boundary.parent;
+  while (retryFiber && retryFiber.type !== "SUSPENSE_LIST") {
+    retryFiber = retryFiber.parent;
+  }
+  const retry = () => scheduleUpdate(retryFiber || boundary, LANES.DEFAULT);
+  thenable.then(retry, retry);
+
+  unwindWork(boundary);
+  boundary.didSuspend = true;
+  updateSuspenseComponent(boundary, true);
+  return boundary.child;
+}
+
+/**
+ * Finds the positions of a longest strictly increasing subsequence.
+ * @param {number[]} sequence - The sequence to search.
+ * @returns {Set<number>} The positions in `sequence` that belong to the subsequence.
+ */
+function longestIncreasingSubsequence(sequence) {
+  const predecessors = new Array(sequence.length);
+  const tails = [];
+
+  sequence.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sequence[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    predecessors[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const positions = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = predecessors[i]) {
+    positions.add(i);
+  }
+  return positions;
+}
+
 /**
  * Reconciles children elements with the fiber tree.
  * @param {Object} wipFiber - The work-in-progress fiber node.
@@ -77,6 +363,7 @@ function reconcileChildren(wipFiber, elements) {
 
   const oldChildrenMap = new Map();
   const oldChildrenArray = [];
+  const oldIndices = new Map();
 
   let oldFiber = wipFiber.alternate && wipFiber.alternate.child;
   let index = 0;
@@ -85,21 +372,31 @@ function reconcileChildren(wipFiber, elements) {
     const key = oldFiber.key != null ? oldFiber.key : index;
     oldChildrenMap.set(key, oldFiber);
     oldChildrenArray.push(oldFiber);
+    oldIndices.set(oldFiber, index);
     oldFiber = oldFiber.sibling;
     index++;
   }
 
   let prevSibling = null;
   const newChildren = [];
+  const reusedChildren = [];
 
   elements.forEach((element, i) => {
     if (!element) return;
+    if (typeof element === "function") {
+      throw createError("RENDER", "Functions are not valid as children; pass them to a component that calls them, such as a Context.Consumer", wipFiber.type?.name, undefined, {
+        code: "INVALID_CHILD",
+        phase: "render",
+        fiber: wipFiber,
+      });
+    }
 
     const key = element.key != null ? element.key : i;
     const old = oldChildrenMap.get(key);
 
     let newFiber = null;
-    const sameType = old && element && element.type === old.type;
+    // A portal that moves to another container is mounted afresh there.
+    const sameType = old && element && element.type === old.type && (element.type !== "PORTAL" || element.props.container === old.props.container);
 
     if (sameType) {
       newFiber = {
@@ -107,11 +404,17 @@ function reconcileChildren(wipFiber, elements) {
         key,
         props: element.props || {},
         dom: old.dom,
+        hostContext: old.hostContext,
         parent: wipFiber,
         alternate: old,
         effectTag: "UPDATE",
+        instance: old.instance,
         hooks: old.hooks,
+        dependencies: old.dependencies,
+        lanes: old.lanes,
+        childLanes: old.childLanes,
       };
+      reusedChildren.push(newFiber);
     }
 
     if (element && !sameType) {
@@ -123,24 +426,27 @@ function reconcileChildren(wipFiber, elements) {
         parent: wipFiber,
         alternate: null,
         effectTag: "PLACEMENT",
+        instance: {},
         hooks: {},
+        lanes: LANES.NONE,
+        childLanes: LANES.NONE,
       };
     }
 
     if (old && !sameType) {
       if (old.effectTag !== "DELETION") {
         old.effectTag = "DELETION";
-        globalState.deletions.push(old);
+        globalState.renderingRoot.deletions.push(old);
       }
     }
 
     if (old) oldChildrenMap.delete(key);
 
     if (newFiber) {
-      if (i === 0) {
-        wipFiber.child = newFiber;
-      } else if (prevSibling) {
+      if (prevSibling) {
         prevSibling.sibling = newFiber;
+      } else {
+        wipFiber.child = newFiber;
       }
       prevSibling = newFiber;
       newChildren.push(newFiber);
@@ -149,12 +455,150 @@ function reconcileChildren(wipFiber, elements) {
 
   oldChildrenMap.forEach((child) => {
     child.effectTag = "DELETION";
-    globalState.deletions.push(child);
+    globalState.renderingRoot.deletions.push(child);
+  });
+
+  // Reused children that kept their relative order stay put; every other one is moved into place.
+  const stationary = longestIncreasingSubsequence(reusedChildren.map((fiber) => oldIndices.get(fiber.alternate)));
+  reusedChildren.forEach((fiber, i) => {
+    if (!stationary.has(i)) fiber.effectTag = "PLACEMENT";
+  });
+}
+
+/**
+ * Checks whether a context dependency is affected by a new value of its context: it reads the whole value, or a slice
+ * that the new value changes.
+ * @param {{ select?: (value: any) => any, isEqual?: (a: any, b: any) => boolean, selected?: any }} dependency - The dependency.
+ * @param {any} value - The context's new value.
+ * @returns {boolean} True if the consumer must re-render.
+ */
+function isDependencyChanged(dependency, value) {
+  if (!dependency.select) return true;
+
+  try {
+    return !dependency.isEqual(dependency.selected, dependency.select(value));
+  } catch {
+    // The consumer re-renders, so the error is thrown where error boundaries can handle it.
+    return true;
+  }
+}
+
+/**
+ * Marks the committed fibers under a provider whose reads of its context are affected by its new value, so the render
+ * re-runs them even where their ancestors are skipped. Nested providers of the same context shadow it, so their subtrees
+ * are left alone.
+ * @param {Object} fiber - The provider's committed fiber, or one of its descendants.
+ * @param {Object} context - The context whose value changed.
+ * @param {any} value - The context's new value.
+ * @param {number} lanes - The lanes being rendered.
+ * @returns {boolean} True if a consumer was found under the fiber.
+ */
+function propagateContextChange(fiber, context, value, lanes) {
+  let hasConsumer = false;
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    if (child.dependencies?.some((dependency) => dependency.context === context && isDependencyChanged(dependency, value))) {
+      child.lanes |= lanes;
+      hasConsumer = true;
+    }
+
+    const isNestedProvider = child.type === "CONTEXT_PROVIDER" && child.props?.context === context;
+    if (!isNestedProvider && propagateContextChange(child, context, value, lanes)) {
+      child.childLanes |= lanes;
+      hasConsumer = true;
+    }
+  }
+  return hasConsumer;
+}
+
+/**
+ * Checks whether a fiber was rendered before with the same props object, as when its parent reuses the element from its
+ * previous render, or, for a `memo` component, with props its comparison finds equal.
+ * @param {Object} fiber - The work-in-progress fiber.
+ * @returns {boolean} True if the fiber's props are unchanged.
+ */
+function arePropsUnchanged(fiber) {
+  if (!fiber.alternate) return false;
+  if (fiber.props === fiber.alternate.props) return true;
+  return typeof fiber.type?._compare === "function" && !!fiber.type._compare(fiber.alternate.props, fiber.props);
+}
+
+/**
+ * Checks whether a component read the same context values in its render as in its committed one. Its hooks run in the
+ * same order every render, so its context reads line up with the committed ones.
+ * @param {Object} fiber - The work-in-progress fiber of a component that has just rendered.
+ * @returns {boolean} True if every context value or selected slice is unchanged.
+ */
+function areDependenciesUnchanged(fiber) {
+  const dependencies = fiber.dependencies || [];
+  const prevDependencies = fiber.alternate?.dependencies || [];
+  if (dependencies.length !== prevDependencies.length) return false;
+
+  return dependencies.every((dependency, i) => {
+    const prevDependency = prevDependencies[i];
+    if (dependency.context !== prevDependency.context || !dependency.select !== !prevDependency.select) return false;
+    return dependency.select ? dependency.isEqual(prevDependency.selected, dependency.selected) : Object.is(dependency.value, prevDependency.value);
   });
 }
 
 /**
- * Performs a unit of work in the render process.
+ * Checks whether a fiber can skip its work: it has no update in the lanes being rendered, and its props are unchanged.
+ * @param {Object} fiber - The work-in-progress fiber.
+ * @param {number} renderLanes - The lanes being rendered.
+ * @returns {boolean} True if the fiber's committed output is still valid.
+ */
+function canBailout(fiber, renderLanes) {
+  if (!fiber.alternate || (fiber.lanes & renderLanes) !== LANES.NONE || fiber.effectTag === "HYDRATION") return false;
+  return arePropsUnchanged(fiber);
+}
+
+/**
+ * Reuses a fiber's committed children instead of re-running it. Children with updates in the lanes being rendered
+ * are copied so the render can reach them; otherwise the committed subtree is kept as a whole.
+ * @param {Object} fiber - The work-in-progress fiber.
+ * @param {number} renderLanes - The lanes being rendered.
+ * @returns {boolean} True if the fiber's children need work.
+ */
+function bailoutOnAlreadyFinishedWork(fiber, renderLanes) {
+  if (fiber.effectTag === "UPDATE") fiber.effectTag = null;
+
+  if ((fiber.childLanes & renderLanes) === LANES.NONE) {
+    fiber.child = fiber.alternate.child;
+    fiber.hasReusedChildren = true;
+    return false;
+  }
+
+  let prevSibling = null;
+  for (let current = fiber.alternate.child; current; current = current.sibling) {
+    const clone = cloneFiber(current, fiber);
+    if (prevSibling) {
+      prevSibling.sibling = clone;
+    } else {
+      fiber.child = clone;
+    }
+    prevSibling = clone;
+  }
+  return true;
+}
+
+/**
+ * Finishes a fiber whose subtree has been worked on, along with every ancestor it was the last child of.
+ * @param {Object} fiber - The finished fiber.
+ * @returns {Object | null} The next fiber to work on, or null if the tree is complete.
+ */
+function completeUnitOfWork(fiber) {
+  let nextFiber = fiber;
+  while (nextFiber) {
+    if (nextFiber.type === "SUSPENSE_LIST" && revealSuspenseListRows(nextFiber) && nextFiber.child) return nextFiber.child;
+    mergeChildLanes(nextFiber);
+    if (nextFiber.sibling) return nextFiber.sibling;
+    nextFiber = nextFiber.parent;
+  }
+  return null;
+}
+
+/**
+ * Performs a unit of work in the render process. Fibers whose props and state are unchanged reuse their committed output.
  * @param {Object} fiber - The current fiber node.
  * @param {Function} createDom - Function to create DOM nodes.
  * @returns {Object|null} The next unit of work or null if complete.
@@ -163,17 +607,55 @@ function performUnitOfWork(fiber, createDom) {
   const isFunctionComponent = fiber.type instanceof Function;
   const isFragment = fiber.type === "FRAGMENT";
   const isContextProvider = fiber.type === "CONTEXT_PROVIDER";
+  const isPortal = fiber.type === "PORTAL";
+  const isSuspense = fiber.type === "SUSPENSE";
+  const isSuspenseList = fiber.type === "SUSPENSE_LIST";
+  const root = globalState.renderingRoot;
+  const renderLanes = root.renderLanes;
+
+  // What a Suspense boundary or SuspenseList needs to discard the work below it.
+  if (isSuspense || isSuspenseList) {
+    fiber.unwindState = { deletions: root.deletions.length, effectQueue: root.effectQueue, effectCount: root.effectQueue.length };
+  }
+
+  if (canBailout(fiber, renderLanes)) {
+    return bailoutOnAlreadyFinishedWork(fiber, renderLanes) ? fiber.child : completeUnitOfWork(fiber);
+  }
 
   try {
     if (isFunctionComponent) {
-      updateFunctionComponent(fiber);
+      if (updateFunctionComponent(fiber)) {
+        return bailoutOnAlreadyFinishedWork(fiber, renderLanes) ? fiber.child : completeUnitOfWork(fiber);
+      }
     } else if (isFragment || isContextProvider) {
+      if (isContextProvider && fiber.alternate && !Object.is(fiber.alternate.props.value, fiber.props.value)) {
+        propagateContextChange(fiber.alternate, fiber.props.context, fiber.props.value, renderLanes);
+      }
+      reconcileChildren(fiber, fiber.props.children || []);
+    } else if (isSuspense) {
+      fiber.didSuspend = isHeldBackByList(fiber);
+      updateSuspenseComponent(fiber, fiber.didSuspend);
+    } else if (isSuspenseList) {
+      updateSuspenseListComponent(fiber);
+    } else if (isPortal) {
+      fiber.dom = fiber.props.container;
       reconcileChildren(fiber, fiber.props.children || []);
     } else {
       updateHostComponent(fiber, createDom);
     }
   } catch (error) {
-    const enhanced = enhanceError(error, {
+    const boundary = isThenable(error) ? findSuspenseBoundary(fiber) : null;
+    if (boundary) return throwException(boundary, error);
+
+    const cause = isThenable(error)
+      ? createError("SUSPENSE", "A component suspended, but there is no Suspense boundary above it to show a fallback", fiber.type?.name, undefined, {
+          code: "MISSING_SUSPENSE_BOUNDARY",
+          phase: "render",
+          fiber,
+          cause: error,
+        })
+      : error;
+    const enhanced = enhanceError(cause, {
       component: fiber.type?.name || "Unknown",
       phase: "reconciliation",
       fiber,
@@ -181,24 +663,12 @@ function performUnitOfWork(fiber, createDom) {
 
     if (!captureError(enhanced, fiber)) {
       console.error("[Jepsh] Unhandled error in performUnitOfWork:", enhanced);
-      if (fiber.sibling) {
-        return fiber.sibling;
-      }
-      let nextFiber = fiber.parent;
-      while (nextFiber) {
-        if (nextFiber.sibling) return nextFiber.sibling;
-        nextFiber = nextFiber.parent;
-      }
-      return null;
+      return completeUnitOfWork(fiber);
     }
   }
 
   if (fiber.child) return fiber.child;
-  let nextFiber = fiber;
-  while (nextFiber) {
-    if (nextFiber.sibling) return nextFiber.sibling;
-    nextFiber = nextFiber.parent;
-  }
+  return completeUnitOfWork(fiber);
 }
 
 export { performUnitOfWork };
@@ -0,0 +1,204 @@
+import { LANES, PRIORITY } from "./constants";
+import { captureError } from "./error-boundary";
+import { performUnitOfWork } from "./reconciler";
+import { commitRoot, unmountRoot } from "./commit";
+import { getNextLanes, includesBlockingLane } from "./lanes";
+import { scheduleRootUpdate } from "./scheduler";
+import { scheduleCallback, getFrameTimeRemaining } from "./task-scheduler";
+import { createFiberRoot, prepareFreshStack, finishRender, flushRootSync } from "./root";
+
+import { state as globalState } from "@/shared/global";
+import { createError, enhanceError } from "@/utils/error";
+
+const REQUIRED_HOST_METHODS = ["createInstance", "createTextInstance", "appendChild", "insertBefore", "removeChild", "prepareUpdate", "commitUpdate"];
+
+/**
+ * Runs a root's work in a scheduler task of the root's priority, with a deadline at the end of the scheduler's frame.
+ * @param {(deadline: { timeRemaining: () => number }) => void} callback - The work to run.
+ * @param {number} [priority=PRIORITY.NORMAL] - The priority of the pending render.
+ */
+function scheduleTaskWork(callback, priority = PRIORITY.NORMAL) {
+  scheduleCallback(priority, () => callback({ timeRemaining: getFrameTimeRemaining }));
+}
+
+/**
+ * Creates a renderer that drives the reconciler against a custom host environment.
+ *
+ * The host config supplies `createInstance(type, props, hostContext, fiber)`, `createTextInstance(text, hostContext, fiber)`,
+ * `appendChild(parent, child)`, `insertBefore(parent, child, before)`, `removeChild(parent, child)`,
+ * `prepareUpdate(instance, type, oldProps, newProps)` and `commitUpdate(instance, updatePayload, type, oldProps, newProps, fiber)`.
+ * It may also supply `commitTextUpdate`, `getRootHostContext`, `getChildHostContext`, `setInstanceFiber`, `preparePortalMount`,
+ * `finalizeChildren(instance, type, props, isMount)`, `hydrateInstance`, `finishHydration` and `scheduleWork`.
+ * @param {Object} hostConfig - The host config.
+ * @returns {{ createContainer: (container: any) => Object, updateContainer: (element: any, root: Object, hydration?: any) => void, unmountContainer: (root: Object) => void, flushWork: (root: Object) => void }} The renderer.
+ * @throws {Error} If the host config is missing a required method.
+ */
+function createRenderer(hostConfig) {
+  if (!hostConfig || typeof hostConfig !== "object") {
+    throw createError("RENDERER", "A host config object is required", "createRenderer", undefined, { code: "INVALID_HOST_CONFIG" });
+  }
+
+  REQUIRED_HOST_METHODS.forEach((name) => {
+    if (typeof hostConfig[name] !== "function") {
+      throw createError("RENDERER", `Host config is missing the "${name}" method`, "createRenderer", undefined, { code: "INVALID_HOST_CONFIG" });
+    }
+  });
+
+  /**
+   * Finds the host context that applies to a fiber's own instance.
+   * @param {Object} fiber - The host fiber.
+   * @returns {any} The host context.
+   */
+  function getParentHostContext(fiber) {
+    let parent = fiber.parent;
+    while (parent) {
+      if (parent.type === "PORTAL") return hostConfig.getRootHostContext ? hostConfig.getRootHostContext(parent.dom) : null;
+      if (parent.hostContext !== undefined) return parent.hostContext;
+      if (!parent.parent) return parent.root?.host.hostContext ?? null;
+      parent = parent.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Creates, or adopts while hydrating, the host instance for a fiber.
+   * @param {Object} fiber - The host fiber.
+   * @returns {any} The host instance.
+   */
+  function createFiberInstance(fiber) {
+    const hostContext = getParentHostContext(fiber);
+    const hydration = globalState.renderingRoot?.wipRoot?.hydration;
+    const isText = fiber.type === "TEXT_ELEMENT";
+    let instance;
+
+    if (hydration && hostConfig.hydrateInstance) {
+      instance = hostConfig.hydrateInstance(fiber, hydration, hostContext);
+    } else if (isText) {
+      instance = hostConfig.createTextInstance(fiber.props.nodeValue == null ? "" : String(fiber.props.nodeValue), hostContext, fiber);
+    } else {
+      instance = hostConfig.createInstance(fiber.type, fiber.props || {}, hostContext, fiber);
+    }
+
+    if (!isText) {
+      fiber.hostContext = hostConfig.getChildHostContext ? hostConfig.getChildHostContext(hostContext, fiber.type) : hostContext;
+    }
+    return instance;
+  }
+
+  /**
+   * Performs pending work on a single root and commits it once its tree is complete. With no render in progress,
+   * a new one is started for the root's next lanes.
+   * @param {ReturnType<typeof createFiberRoot>} root - The root to work on.
+   * @param {{ timeRemaining: () => number }} deadline - The deadline to yield at; sync and expired lanes render to completion.
+   */
+  function performWork(root, deadline) {
+    if (!root.wipRoot) {
+      const lanes = getNextLanes(root);
+      if (lanes === LANES.NONE) return;
+      prepareFreshStack(root, lanes);
+    }
+
+    let shouldYield = false;
+    const wipRoot = root.wipRoot;
+    const isBlocking = includesBlockingLane(root, root.renderLanes);
+
+    globalState.renderingRoot = root;
+
+    try {
+      // An update scheduled from within the render may have interrupted it, so work stops once the root is restarted.
+      while (root.nextUnitOfWork && root.wipRoot === wipRoot && !shouldYield) {
+        try {
+          const next = performUnitOfWork(root.nextUnitOfWork, createFiberInstance);
+          if (root.wipRoot === wipRoot) root.nextUnitOfWork = next;
+        } catch (error) {
+          const enhanced = enhanceError(error, {
+            component: root.nextUnitOfWork?.type?.name || "Unknown",
+            phase: "reconciliation",
+            fiber: root.nextUnitOfWork,
+          });
+
+          if (!captureError(enhanced, root.nextUnitOfWork)) {
+            console.error("[Jepsh] Unhandled error during reconciliation:", enhanced);
+            finishRender(root);
+            return;
+          }
+        }
+        shouldYield = !isBlocking && deadline.timeRemaining() <= 0;
+      }
+
+      if (!root.nextUnitOfWork && root.wipRoot) {
+        try {
+          const hydration = root.wipRoot.hydration;
+          commitRoot(root);
+          finishRender(root);
+          if (hydration && hostConfig.finishHydration) hostConfig.finishHydration(hydration);
+        } catch (error) {
+          const enhanced = enhanceError(error, {
+            phase: "commit",
+            fiber: root.wipRoot,
+          });
+
+          const failedRoot = root.wipRoot;
+          finishRender(root);
+          if (!captureError(enhanced, failedRoot)) {
+            console.error("[Jepsh] Unhandled error during commit:", enhanced);
+          }
+        }
+      }
+    } finally {
+      globalState.renderingRoot = null;
+    }
+  }
+
+  const host = {
+    hostConfig,
+    hostContext: null,
+    scheduleWork: hostConfig.scheduleWork || scheduleTaskWork,
+    performWork,
+  };
+
+  return {
+    /**
+     * Creates a root for a host container.
+     * @param {any} container - The host container.
+     * @returns {ReturnType<typeof createFiberRoot>} The root.
+     */
+    createContainer(container) {
+      return createFiberRoot(container, {
+        ...host,
+        hostContext: hostConfig.getRootHostContext ? hostConfig.getRootHostContext(container) : null,
+      });
+    },
+
+    /**
+     * Schedules a render of an element into a root, in the default lane.
+     * @param {any} element - The element to render; null renders nothing.
+     * @param {ReturnType<typeof createFiberRoot>} root - The root to render into.
+     * @param {any} [hydration=null] - Host hydration state when adopting existing host nodes.
+     */
+    updateContainer(element, root, hydration = null) {
+      globalState.roots.add(root);
+      root.element = element;
+      if (hydration) root.hydration = hydration;
+      scheduleRootUpdate(root, LANES.DEFAULT);
+    },
+
+    /**
+     * Tears down a root, running every effect cleanup and removing its host nodes.
+     * @param {ReturnType<typeof createFiberRoot>} root - The root to unmount.
+     */
+    unmountContainer(root) {
+      unmountRoot(root);
+    },
+
+    /**
+     * Synchronously renders and commits all of a root's pending work.
+     * @param {ReturnType<typeof createFiberRoot>} root - The root to flush.
+     */
+    flushWork(root) {
+      flushRootSync(root);
+    },
+  };
+}
+
+export { createRenderer };
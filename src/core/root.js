@@ -0,0 +1,162 @@
+import { LANES } from "./constants";
+import { getCurrentFiber } from "./fiber";
+import { getNextLanes, getLanesPriority, markRootFinished } from "./lanes";
+
+import { state as globalState } from "@/shared/global";
+
+/**
+ * Creates an independent render root with its own fiber tree, pending lanes, update queue and effect queue.
+ * @param {any} container - The host container the root renders into.
+ * @param {{ hostConfig: Object, hostContext: any, scheduleWork: (callback: (deadline: { timeRemaining: () => number }) => void, priority?: number) => void, performWork: (root: Object, deadline: { timeRemaining: () => number }) => void }} host - The renderer that owns the root.
+ * @returns {{ container: any, host: Object, element: any, hydration: any, current: Object | null, wipRoot: Object | null, nextUnitOfWork: Object | null, deletions: Object[], effectQueue: Object[], updateQueue: Array<{ type: string, lane: number }>, pendingLanes: number, suspendedLanes: number, expiredLanes: number, expirationTimes: Map<number, number>, renderLanes: number, hookUpdates: Map<Object, Object>, interleavedUpdates: Array<{ fiber: Object, lane: number }>, callbackPriority: number | null }} The root.
+ */
+function createFiberRoot(container, host) {
+  const root = {
+    container,
+    host,
+    element: null,
+    hydration: null,
+    current: null,
+    wipRoot: null,
+    nextUnitOfWork: null,
+    deletions: [],
+    effectQueue: [],
+    updateQueue: [],
+    pendingLanes: LANES.NONE,
+    suspendedLanes: LANES.NONE,
+    expiredLanes: LANES.NONE,
+    expirationTimes: new Map(),
+    renderLanes: LANES.NONE,
+    hookUpdates: new Map(),
+    interleavedUpdates: [],
+    callbackPriority: null,
+  };
+
+  globalState.roots.add(root);
+  return root;
+}
+
+/**
+ * Finds the root that owns a fiber by walking up to its host root fiber.
+ * @param {{ parent?: any, root?: any } | null} fiber - A fiber in the tree.
+ * @returns {ReturnType<typeof createFiberRoot> | null} The owning root, or null if the fiber is detached.
+ */
+function getRootForFiber(fiber) {
+  let node = fiber;
+  while (node && node.parent) {
+    node = node.parent;
+  }
+  return node?.root || null;
+}
+
+/**
+ * Marks an update's lane on the committed fiber of the component it belongs to, and as a child lane on all of its ancestors,
+ * so renders re-run that component and skip subtrees without updates. An update made while the root is rendering is
+ * marked again once the render finishes, since the render's copies of the fibers were taken before it.
+ * @param {Object} fiber - The fiber of the updated component.
+ * @param {number} lane - The update's lane.
+ * @returns {ReturnType<typeof createFiberRoot> | null} The owning root, or null if the fiber is detached.
+ */
+function markUpdateLaneFromFiberToRoot(fiber, lane) {
+  const target = getCurrentFiber(fiber);
+  target.lanes |= lane;
+
+  let node = target;
+  while (node.parent) {
+    node = node.parent;
+    node.childLanes |= lane;
+  }
+
+  const root = node.root || null;
+  if (root?.wipRoot) root.interleavedUpdates.push({ fiber: target, lane });
+  return root;
+}
+
+/**
+ * Starts a new render of a root's element from its committed tree, for the given lanes.
+ * @param {ReturnType<typeof createFiberRoot>} root - The root to render.
+ * @param {number} lanes - The lanes the render works on.
+ */
+function prepareFreshStack(root, lanes) {
+  root.wipRoot = {
+    dom: root.container,
+    props: { children: root.element == null ? [] : [root.element] },
+    alternate: root.current,
+    lanes: LANES.NONE,
+    childLanes: LANES.NONE,
+    hydration: root.hydration,
+    root,
+  };
+  root.renderLanes = lanes;
+  root.nextUnitOfWork = root.wipRoot;
+  root.deletions = [];
+  root.hookUpdates = new Map();
+  root.interleavedUpdates = [];
+}
+
+/**
+ * Throws away a root's in-progress render so it restarts from the committed tree, e.g. for a higher-priority update.
+ * Its lanes stay pending.
+ * @param {ReturnType<typeof createFiberRoot>} root - The root whose render to discard.
+ */
+function interruptRender(root) {
+  // The discarded render marked committed fibers for deletion; the next render decides their fate afresh.
+  root.deletions.forEach((fiber) => {
+    fiber.effectTag = null;
+  });
+  root.wipRoot = null;
+  root.nextUnitOfWork = null;
+  root.deletions = [];
+  root.renderLanes = LANES.NONE;
+  root.hookUpdates = new Map();
+  root.interleavedUpdates = [];
+}
+
+/**
+ * Ends a root's render once it has committed, or was abandoned after an unhandled error, clearing its lanes.
+ * @param {ReturnType<typeof createFiberRoot>} root - The root whose render finished.
+ */
+function finishRender(root) {
+  markRootFinished(root, root.renderLanes);
+  root.wipRoot = null;
+  root.nextUnitOfWork = null;
+  root.renderLanes = LANES.NONE;
+  root.hydration = null;
+  root.hookUpdates = new Map();
+
+  const interleavedUpdates = root.interleavedUpdates;
+  root.interleavedUpdates = [];
+  interleavedUpdates.forEach(({ fiber, lane }) => markUpdateLaneFromFiberToRoot(fiber, lane));
+}
+
+/**
+ * Asks the root's renderer to run its pending work at the priority of its highest lane. A run that is already scheduled
+ * is kept unless the pending work now needs a higher priority.
+ * @param {ReturnType<typeof createFiberRoot>} root - The root with pending work.
+ */
+function ensureRootIsScheduled(root) {
+  const lanes = root.wipRoot ? root.renderLanes : getNextLanes(root);
+  if (lanes === LANES.NONE) return;
+
+  const priority = getLanesPriority(lanes);
+  if (root.callbackPriority !== null && root.callbackPriority <= priority) return;
+
+  root.callbackPriority = priority;
+  root.host.scheduleWork((deadline) => {
+    if (root.callbackPriority === priority) root.callbackPriority = null;
+    root.host.performWork(root, deadline);
+    ensureRootIsScheduled(root);
+  }, priority);
+}
+
+/**
+ * Synchronously renders and commits all of a root's pending work, without yielding to the host.
+ * @param {ReturnType<typeof createFiberRoot>} root - The root to flush.
+ */
+function flushRootSync(root) {
+  while (root.wipRoot || getNextLanes(root) !== LANES.NONE) {
+    root.host.performWork(root, { timeRemaining: () => Infinity });
+  }
+}
+
+export { createFiberRoot, getRootForFiber, markUpdateLaneFromFiberToRoot, prepareFreshStack, interruptRender, finishRender, ensureRootIsScheduled, flushRootSync };
@@ -1,51 +1,73 @@
-import { PRIORITY } from "./constants";
+import { LANES } from "./constants";
 import { captureError } from "./error-boundary";
+import { markRootUpdated, shouldInterruptRender } from "./lanes";
+import { markUpdateLaneFromFiberToRoot, interruptRender, ensureRootIsScheduled, flushRootSync } from "./root";
 
 import { state as globalState } from "@/shared/global";
 import { createError } from "@/utils/error";
 
-let updateQueue = [];
 let isBatchingUpdates = false;
 let batchingTimeout = null;
 
 /**
- * Schedules an update for the component tree with the specified priority.
- * @param {number} [priority=PRIORITY.NORMAL] - The priority level for the update.
+ * Marks an update's lane as pending on a root and schedules its render. A render in progress is restarted when the update is of
+ * equal or higher priority than the lanes it works on; lower-priority updates wait until it has committed.
+ * @param {ReturnType<typeof import("./root").createFiberRoot> | null} root - The root to re-render.
+ * @param {number} [lane=LANES.DEFAULT] - The update's lane.
  */
-function scheduleUpdate(priority = PRIORITY.NORMAL) {
-  if (!globalState.currentRoot) return;
-
-  globalState.wipRoot = {
-    dom: globalState.currentRoot.dom,
-    props: globalState.currentRoot.props,
-    alternate: globalState.currentRoot,
-    priority,
-  };
-  globalState.nextUnitOfWork = globalState.wipRoot;
-  globalState.deletions = [];
+function scheduleRootUpdate(root, lane = LANES.DEFAULT) {
+  if (!root) return;
+
+  markRootUpdated(root, lane);
+  // A hydrating render has claimed existing host nodes as it went, so it is never restarted.
+  if (root.wipRoot && !root.wipRoot.hydration && shouldInterruptRender(lane, root.renderLanes)) {
+    interruptRender(root);
+  }
+  ensureRootIsScheduled(root);
 }
 
 /**
- * Flushes batched updates to trigger rendering.
+ * Schedules a re-render of a fiber's component, in the specified lane.
+ * @param {Object} fiber - The fiber of the component to re-render.
+ * @param {number} [lane=LANES.DEFAULT] - The update's lane.
+ */
+function scheduleUpdate(fiber, lane = LANES.DEFAULT) {
+  scheduleRootUpdate(markUpdateLaneFromFiberToRoot(fiber, lane), lane);
+}
+
+/**
+ * Flushes each root's batched updates to trigger rendering.
  */
 function flushBatchedUpdates() {
-  if (updateQueue.length === 0) {
-    isBatchingUpdates = false;
-    return;
-  }
+  globalState.roots.forEach((root) => {
+    if (root.updateQueue.length === 0) return;
 
-  const updates = [...updateQueue];
-  updateQueue = [];
+    const updates = [...root.updateQueue];
+    root.updateQueue = [];
 
-  updates.forEach((update) => {
-    if (update.type === "schedule") {
-      scheduleUpdate(update.priority);
-    }
+    updates.forEach((update) => {
+      if (update.type === "schedule") {
+        scheduleRootUpdate(root, update.lane);
+      }
+    });
   });
 
   isBatchingUpdates = false;
 }
 
+/**
+ * Synchronously renders and commits the updates scheduled so far, e.g. so a discrete event's result is on screen
+ * before the browser handles the next one. Does nothing while a root is rendering.
+ */
+function flushDiscreteUpdates() {
+  if (globalState.renderingRoot) return;
+
+  flushBatchedUpdates();
+  globalState.roots.forEach((root) => {
+    if (root.pendingLanes !== LANES.NONE) flushRootSync(root);
+  });
+}
+
 /**
  * Batches updates to optimize rendering performance.
  * @param {() => void} fn - The function containing updates to batch.
@@ -68,31 +90,36 @@ function batchUpdates(fn) {
 }
 
 /**
- * Enqueues an update with the specified priority, batching if enabled.
- * @param {number} priority - The priority level for the update.
+ * Marks a fiber's component for re-rendering and enqueues the update for its root, batching if enabled.
+ * @param {Object} fiber - The fiber of the component to re-render.
+ * @param {number} lane - The update's lane.
  */
-function enqueueBatchedUpdate(priority) {
+function enqueueBatchedUpdate(fiber, lane) {
+  const root = markUpdateLaneFromFiberToRoot(fiber, lane);
+  if (!root) return;
+
   if (isBatchingUpdates) {
-    updateQueue.push({ type: "schedule", priority });
+    root.updateQueue.push({ type: "schedule", lane });
   } else {
-    scheduleUpdate(priority);
+    scheduleRootUpdate(root, lane);
   }
 }
 
 /**
- * Queues an effect to be executed after rendering.
+ * Queues an effect to be executed after the rendering root commits.
  * @param {{ callback: () => void, cleanup?: () => void, hasRun?: boolean, needsToRun?: boolean }} effect - The effect to queue.
  */
 function queueEffect(effect) {
-  globalState.effectQueue.push(effect);
+  globalState.renderingRoot?.effectQueue.push(effect);
 }
 
 /**
- * Flushes all queued effects, executing their callbacks and handling cleanups.
+ * Flushes a root's queued effects, executing their callbacks and handling cleanups.
+ * @param {{ effectQueue: Object[] }} root - The root whose effects to run.
  */
-function flushEffects() {
-  const effects = [...globalState.effectQueue];
-  globalState.effectQueue = [];
+function flushEffects(root) {
+  const effects = [...root.effectQueue];
+  root.effectQueue = [];
 
   effects.forEach((effect) => {
     try {
@@ -103,7 +130,11 @@ function flushEffects() {
       effect.hasRun = true;
       effect.needsToRun = false;
     } catch (error) {
-      const enhanced = createError("EFFECT", `Error running effect: ${error.message}`, globalState.wipFiber?.type?.name, "unknown");
+      const enhanced = createError("EFFECT", `Error running effect: ${error.message}`, globalState.wipFiber?.type?.name, "unknown", {
+        code: "EFFECT_FAILED",
+        phase: "effect",
+        cause: error,
+      });
       if (!captureError(enhanced, globalState.wipFiber)) {
         console.error(enhanced);
       }
@@ -121,4 +152,4 @@ function resetHookCounter(fiber) {
   }
 }
 
-export { scheduleUpdate, batchUpdates, enqueueBatchedUpdate, queueEffect, flushEffects, resetHookCounter };
+export { scheduleUpdate, scheduleRootUpdate, batchUpdates, enqueueBatchedUpdate, flushBatchedUpdates, flushDiscreteUpdates, queueEffect, flushEffects, resetHookCounter };
@@ -0,0 +1,251 @@
+import { PRIORITY } from "./constants";
+
+import { createError } from "@/utils/error";
+
+// How long a task may wait before it runs without yielding, by priority.
+const PRIORITY_TIMEOUTS = {
+  [PRIORITY.IMMEDIATE]: -1,
+  [PRIORITY.NORMAL]: 5000,
+  [PRIORITY.LOW]: 10000,
+  [PRIORITY.IDLE]: 1073741823,
+};
+
+// The time the scheduler works for before yielding to the host, in milliseconds.
+const FRAME_INTERVAL = 5;
+
+const defaultClock = {
+  now: () => (typeof performance !== "undefined" ? performance.now() : Date.now()),
+};
+
+const taskQueue = [];
+let taskIdCounter = 1;
+let schedulerClock = defaultClock;
+let isHostLoopScheduled = false;
+let frameStartTime = -1;
+// The priority of the task or `runWithPriority` callback that is running; updates it makes are scheduled at that priority.
+let currentPriority = PRIORITY.NORMAL;
+
+/**
+ * Reads the current time from the scheduler's clock.
+ * @returns {number} The current time in milliseconds.
+ */
+function getCurrentTime() {
+  return schedulerClock.now();
+}
+
+/**
+ * Replaces the clock the scheduler measures time slices with, e.g. with a fake clock in tests.
+ * @param {{ now: () => number } | null} clock - The clock to use, or null to restore the default clock.
+ * @throws {Error} If the clock has no `now` method.
+ */
+function setSchedulerClock(clock) {
+  if (clock == null) {
+    schedulerClock = defaultClock;
+    return;
+  }
+
+  if (typeof clock.now !== "function") {
+    throw createError("SCHEDULER", "A scheduler clock must have a now() method", "setSchedulerClock", undefined, { code: "INVALID_ARGUMENT" });
+  }
+  schedulerClock = clock;
+}
+
+/**
+ * Orders tasks by expiration time, then by insertion order.
+ * @param {{ expirationTime: number, id: number }} a - A task.
+ * @param {{ expirationTime: number, id: number }} b - Another task.
+ * @returns {number} A negative number if `a` runs first.
+ */
+function compareTasks(a, b) {
+  return a.expirationTime - b.expirationTime || a.id - b.id;
+}
+
+/**
+ * Adds a task to the min-heap task queue.
+ * @param {Object} task - The task.
+ */
+function pushTask(task) {
+  let index = taskQueue.push(task) - 1;
+
+  while (index > 0) {
+    const parentIndex = (index - 1) >>> 1;
+    if (compareTasks(taskQueue[parentIndex], task) <= 0) return;
+    taskQueue[index] = taskQueue[parentIndex];
+    taskQueue[parentIndex] = task;
+    index = parentIndex;
+  }
+}
+
+/**
+ * Removes the first task from the min-heap task queue.
+ */
+function popTask() {
+  const last = taskQueue.pop();
+  if (taskQueue.length === 0) return;
+
+  taskQueue[0] = last;
+  let index = 0;
+
+  while (index * 2 + 1 < taskQueue.length) {
+    const leftIndex = index * 2 + 1;
+    const rightIndex = leftIndex + 1;
+    const childIndex = rightIndex < taskQueue.length && compareTasks(taskQueue[rightIndex], taskQueue[leftIndex]) < 0 ? rightIndex : leftIndex;
+
+    if (compareTasks(taskQueue[childIndex], last) >= 0) return;
+    taskQueue[index] = taskQueue[childIndex];
+    taskQueue[childIndex] = last;
+    index = childIndex;
+  }
+}
+
+/**
+ * Checks whether the current work has used up its frame and should give the host a chance to paint and handle input.
+ * @returns {boolean} True if the caller should stop and continue in a later task.
+ */
+function shouldYield() {
+  return getCurrentTime() - frameStartTime >= FRAME_INTERVAL;
+}
+
+/**
+ * Returns how much of the current frame is left.
+ * @returns {number} The remaining time in milliseconds.
+ */
+function getFrameTimeRemaining() {
+  return Math.max(0, FRAME_INTERVAL - (getCurrentTime() - frameStartTime));
+}
+
+/**
+ * Returns the priority of the work that is running: the running task's, or the one set by `runWithPriority`.
+ * @returns {number} A `PRIORITY` level; NORMAL outside of any task.
+ */
+function getCurrentPriority() {
+  return currentPriority;
+}
+
+/**
+ * Runs a callback at a priority, so the state updates it makes are rendered at that priority, e.g. `PRIORITY.IMMEDIATE`
+ * for input that must show without yielding, or `PRIORITY.IDLE` for work that can wait until nothing else is pending.
+ * @template T
+ * @param {number} priority - A `PRIORITY` level.
+ * @param {() => T} callback - The callback to run.
+ * @returns {T} The callback's return value.
+ */
+function runWithPriority(priority, callback) {
+  const previousPriority = currentPriority;
+  currentPriority = priority;
+  try {
+    return callback();
+  } finally {
+    currentPriority = previousPriority;
+  }
+}
+
+/**
+ * Runs queued tasks in priority order until the frame is used up. Expired tasks run even when out of time.
+ * @returns {boolean} True if tasks remain.
+ */
+function workLoop() {
+  let task = taskQueue[0];
+
+  while (task) {
+    if (task.expirationTime > getCurrentTime() && shouldYield()) break;
+
+    const callback = task.callback;
+    if (typeof callback === "function") {
+      task.callback = null;
+      const didTimeout = task.expirationTime <= getCurrentTime();
+      const continuation = runWithPriority(task.priority, () => callback(didTimeout));
+
+      if (typeof continuation === "function") {
+        task.callback = continuation;
+      } else if (task === taskQueue[0]) {
+        popTask();
+      }
+    } else {
+      popTask();
+    }
+
+    task = taskQueue[0];
+  }
+
+  return taskQueue.length > 0;
+}
+
+/**
+ * Runs one frame of work, then schedules another host task if work remains.
+ */
+function performWorkUntilDeadline() {
+  frameStartTime = getCurrentTime();
+  let hasMoreWork = true;
+
+  try {
+    hasMoreWork = workLoop();
+  } finally {
+    if (hasMoreWork) {
+      requestHostTask();
+    } else {
+      isHostLoopScheduled = false;
+    }
+  }
+}
+
+/**
+ * Creates the function that runs `performWorkUntilDeadline` in a new macrotask, using the best mechanism the environment has:
+ * `setImmediate` in Node, which does not keep the process alive like a `MessageChannel`, then `MessageChannel`, then `setTimeout`.
+ * @returns {() => void} The host task scheduler.
+ */
+function createHostTaskScheduler() {
+  if (typeof setImmediate === "function") {
+    return () => setImmediate(performWorkUntilDeadline);
+  }
+
+  if (typeof MessageChannel === "function") {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = performWorkUntilDeadline;
+    return () => channel.port2.postMessage(null);
+  }
+
+  return () => setTimeout(performWorkUntilDeadline, 0);
+}
+
+const requestHostTask = createHostTaskScheduler();
+
+/**
+ * Schedules a callback to run in a later macrotask, ordered by priority. A callback may return a function to continue its work
+ * in a later slice, keeping its place in the queue.
+ * @param {number} priority - A `PRIORITY` level; IMMEDIATE tasks never wait behind other work.
+ * @param {(didTimeout: boolean) => (Function | void)} callback - The work to run; receives whether the task has expired.
+ * @returns {{ id: number, callback: Function | null, priority: number, expirationTime: number }} The task, for `cancelCallback`.
+ * @throws {Error} If the callback is not a function.
+ */
+function scheduleCallback(priority, callback) {
+  if (typeof callback !== "function") {
+    throw createError("SCHEDULER", "scheduleCallback expects a function as its second argument", "scheduleCallback", undefined, { code: "INVALID_ARGUMENT" });
+  }
+
+  const timeout = PRIORITY_TIMEOUTS[priority] ?? PRIORITY_TIMEOUTS[PRIORITY.NORMAL];
+  const task = {
+    id: taskIdCounter++,
+    callback,
+    priority,
+    expirationTime: getCurrentTime() + timeout,
+  };
+
+  pushTask(task);
+
+  if (!isHostLoopScheduled) {
+    isHostLoopScheduled = true;
+    requestHostTask();
+  }
+  return task;
+}
+
+/**
+ * Cancels a scheduled task. Its place in the queue is released when the scheduler reaches it.
+ * @param {{ callback: Function | null } | null} task - The task returned by `scheduleCallback`.
+ */
+function cancelCallback(task) {
+  if (task) task.callback = null;
+}
+
+export { scheduleCallback, cancelCallback, shouldYield, getFrameTimeRemaining, getCurrentTime, getCurrentPriority, runWithPriority, setSchedulerClock };
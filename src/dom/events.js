@@ -0,0 +1,367 @@
+import { getChangeEventType, isControlled, restoreFormControl, getRadioGroup } from "./inputs";
+
+import { batchUpdates, flushDiscreteUpdates } from "@/core/scheduler";
+
+const FIBER_KEY = `__jepshFiber$${Math.random().toString(36).slice(2)}`;
+
+// Events that bubble, handled by one listener per type on each root and portal container.
+const DELEGATED_EVENTS = [
+  "animationEnd",
+  "animationIteration",
+  "animationStart",
+  "auxClick",
+  "beforeInput",
+  "change",
+  "click",
+  "compositionEnd",
+  "compositionStart",
+  "compositionUpdate",
+  "contextMenu",
+  "copy",
+  "cut",
+  "drag",
+  "dragEnd",
+  "dragEnter",
+  "dragExit",
+  "dragLeave",
+  "dragOver",
+  "dragStart",
+  "drop",
+  "gotPointerCapture",
+  "input",
+  "keyDown",
+  "keyPress",
+  "keyUp",
+  "lostPointerCapture",
+  "mouseDown",
+  "mouseMove",
+  "mouseOut",
+  "mouseOver",
+  "mouseUp",
+  "paste",
+  "pointerCancel",
+  "pointerDown",
+  "pointerMove",
+  "pointerOut",
+  "pointerOver",
+  "pointerUp",
+  "reset",
+  "select",
+  "submit",
+  "touchCancel",
+  "touchEnd",
+  "touchMove",
+  "touchStart",
+  "transitionEnd",
+  "wheel",
+];
+
+// Events that do not bubble, listened to directly on the element that has the handler.
+const NON_DELEGATED_EVENTS = [
+  "abort",
+  "cancel",
+  "canPlay",
+  "canPlayThrough",
+  "close",
+  "durationChange",
+  "emptied",
+  "encrypted",
+  "ended",
+  "error",
+  "invalid",
+  "load",
+  "loadedData",
+  "loadedMetadata",
+  "loadStart",
+  "mouseEnter",
+  "mouseLeave",
+  "pause",
+  "play",
+  "playing",
+  "pointerEnter",
+  "pointerLeave",
+  "progress",
+  "rateChange",
+  "scroll",
+  "scrollEnd",
+  "seeked",
+  "seeking",
+  "stalled",
+  "suspend",
+  "timeUpdate",
+  "toggle",
+  "volumeChange",
+  "waiting",
+];
+
+// Props whose native event name is not their lowercased name.
+const RENAMED_EVENTS = {
+  onDoubleClick: { type: "dblclick", delegated: true },
+  onFocus: { type: "focusin", delegated: true },
+  onBlur: { type: "focusout", delegated: true },
+};
+
+const eventRegistry = new Map();
+const delegatedHandlerNames = new Map();
+
+DELEGATED_EVENTS.forEach((name) => eventRegistry.set(`on${name[0].toUpperCase()}${name.slice(1)}`, { type: name.toLowerCase(), delegated: true }));
+NON_DELEGATED_EVENTS.forEach((name) => eventRegistry.set(`on${name[0].toUpperCase()}${name.slice(1)}`, { type: name.toLowerCase(), delegated: false }));
+Object.entries(RENAMED_EVENTS).forEach(([propName, registration]) => eventRegistry.set(propName, registration));
+eventRegistry.forEach((registration, propName) => {
+  if (!registration.delegated) return;
+  if (!delegatedHandlerNames.has(registration.type)) delegatedHandlerNames.set(registration.type, []);
+  delegatedHandlerNames.get(registration.type).push(propName);
+});
+
+// Native events that `onChange` follows, depending on the control; controlled controls are restored after each of them.
+const CHANGE_EVENTS = new Set(["input", "change", "click"]);
+
+const listeningContainers = new WeakSet();
+const directListeners = new WeakMap();
+// Root containers that have already dispatched a native event, per phase, so that one root's handlers run once even
+// though its root and portal containers, and the containers of roots nested in its DOM, all listen for the event.
+const dispatchedRoots = { capture: new WeakMap(), bubble: new WeakMap() };
+const syntheticEvents = new WeakMap();
+
+/**
+ * Resolves an event prop to its native event type and phase.
+ * Unknown `on*` props, such as custom element events, are listened to directly by their lowercased name.
+ * @param {string} propName - The event prop name, e.g. `onClick` or `onClickCapture`.
+ * @returns {{ type: string, delegated: boolean, capture: boolean }} The event registration.
+ */
+function getEventRegistration(propName) {
+  const baseName = propName.endsWith("Capture") ? propName.slice(0, -"Capture".length) : propName;
+  const registration = eventRegistry.get(baseName);
+
+  if (registration) {
+    return { ...registration, capture: baseName !== propName };
+  }
+  return { type: propName.slice(2).toLowerCase(), delegated: false, capture: false };
+}
+
+/**
+ * Records the fiber that last committed a DOM node, so events can be dispatched through the component tree.
+ * @param {Node} dom - The DOM node.
+ * @param {Object | null} fiber - The committed fiber, or null when the node is removed.
+ */
+function setNodeFiber(dom, fiber) {
+  dom[FIBER_KEY] = fiber;
+}
+
+/**
+ * Finds the committed fiber for the closest DOM node at or above a target.
+ * @param {EventTarget | null} target - The event target.
+ * @returns {Object | null} The fiber, if the target belongs to a Jepsh tree.
+ */
+function getClosestFiber(target) {
+  let node = /** @type {Node | null} */ (target);
+  while (node) {
+    if (node[FIBER_KEY]) return node[FIBER_KEY];
+    node = node.parentNode;
+  }
+  return null;
+}
+
+/**
+ * Wraps a native event in an object with a cross-browser interface shared by every handler of a dispatch.
+ * @param {Event} nativeEvent - The native event.
+ * @returns {Object} The synthetic event.
+ */
+function getSyntheticEvent(nativeEvent) {
+  if (syntheticEvents.has(nativeEvent)) return syntheticEvents.get(nativeEvent);
+
+  const source = /** @type {any} */ (nativeEvent);
+  const event = {};
+  for (const key in nativeEvent) {
+    const value = nativeEvent[key];
+    if (typeof value !== "function") event[key] = value;
+  }
+
+  let isPropagationStopped = false;
+  let isDefaultPrevented = nativeEvent.defaultPrevented;
+
+  Object.assign(event, {
+    nativeEvent,
+    currentTarget: null,
+    getModifierState: (key) => (typeof source.getModifierState === "function" ? source.getModifierState(key) : false),
+    preventDefault() {
+      isDefaultPrevented = true;
+      event.defaultPrevented = true;
+      nativeEvent.preventDefault();
+    },
+    stopPropagation() {
+      isPropagationStopped = true;
+      nativeEvent.stopPropagation();
+    },
+    isDefaultPrevented: () => isDefaultPrevented,
+    isPropagationStopped: () => isPropagationStopped,
+    persist: () => {},
+  });
+
+  syntheticEvents.set(nativeEvent, event);
+  return event;
+}
+
+/**
+ * Calls handlers in order until one stops propagation, rethrowing the first handler error afterwards.
+ * @param {Object} event - The synthetic event.
+ * @param {Array<{ dom: Node, handler: Function }>} listeners - The handlers to call.
+ */
+function runListeners(event, listeners) {
+  let firstError = null;
+
+  batchUpdates(() => {
+    for (const { dom, handler } of listeners) {
+      if (event.isPropagationStopped()) break;
+      event.currentTarget = dom;
+      try {
+        handler.call(dom, event);
+      } catch (error) {
+        if (!firstError) firstError = error;
+      }
+    }
+    event.currentTarget = null;
+  });
+
+  if (firstError) throw firstError;
+}
+
+/**
+ * Returns the handler props a delegated native event calls. `onChange` follows the `input` event for text fields,
+ * the `click` event for checkboxes and radios and the `change` event for other controls.
+ * @param {Event} nativeEvent - The native event.
+ * @returns {string[]} The handler prop names, without the `Capture` suffix.
+ */
+function getDelegatedHandlerNames(nativeEvent) {
+  const propNames = (delegatedHandlerNames.get(nativeEvent.type) || []).filter((propName) => propName !== "onChange");
+
+  if (CHANGE_EVENTS.has(nativeEvent.type) && getChangeEventType(nativeEvent.target) === nativeEvent.type) {
+    propNames.push("onChange");
+  }
+  return propNames;
+}
+
+/**
+ * Puts a controlled form control, and the other radios in its group, back in the state their committed props describe.
+ * Pending updates are rendered first, so a control whose handler updated state keeps the new value and caret position.
+ * @param {EventTarget | null} target - The event target.
+ */
+function restoreControlledState(target) {
+  const props = target?.[FIBER_KEY]?.props;
+  if (!isControlled(target, props)) return;
+
+  flushDiscreteUpdates();
+
+  [target, ...getRadioGroup(target)].forEach((node) => {
+    const committedProps = node[FIBER_KEY]?.props;
+    if (isControlled(node, committedProps)) restoreFormControl(/** @type {any} */ (node), committedProps);
+  });
+}
+
+/**
+ * Dispatches a delegated native event through the fiber tree above its target.
+ * The path continues from a root into the root whose DOM contains its container, and each root's handlers are skipped
+ * when that root has already dispatched the event.
+ * @param {Event} nativeEvent - The native event.
+ * @param {boolean} capture - Whether this is the capture phase.
+ */
+function dispatchDelegatedEvent(nativeEvent, capture) {
+  const dispatched = capture ? dispatchedRoots.capture : dispatchedRoots.bubble;
+  let handledRoots = dispatched.get(nativeEvent);
+  if (!handledRoots) {
+    handledRoots = new Set();
+    dispatched.set(nativeEvent, handledRoots);
+  }
+
+  const propNames = getDelegatedHandlerNames(nativeEvent);
+  const listeners = [];
+  let rootListeners = [];
+  let didDispatch = false;
+  let fiber = getClosestFiber(nativeEvent.target);
+  while (fiber) {
+    if (!fiber.parent) {
+      if (!handledRoots.has(fiber.dom)) {
+        handledRoots.add(fiber.dom);
+        listeners.push(...rootListeners);
+        didDispatch = true;
+      }
+      rootListeners = [];
+      fiber = fiber.dom ? getClosestFiber(fiber.dom.parentNode) : null;
+      continue;
+    }
+
+    if (fiber.dom && typeof fiber.type === "string" && fiber.type !== "PORTAL" && fiber.props) {
+      propNames.forEach((propName) => {
+        const handler = fiber.props[capture ? `${propName}Capture` : propName];
+        if (typeof handler === "function") rootListeners.push({ dom: fiber.dom, handler });
+      });
+    }
+    fiber = fiber.parent;
+  }
+  if (capture) listeners.reverse();
+
+  try {
+    if (listeners.length > 0) runListeners(getSyntheticEvent(nativeEvent), listeners);
+  } finally {
+    if (didDispatch && !capture && CHANGE_EVENTS.has(nativeEvent.type)) restoreControlledState(nativeEvent.target);
+  }
+}
+
+/**
+ * Dispatches a non-delegated native event to the handlers of the element it was listened to on.
+ * @param {Event} nativeEvent - The native event.
+ */
+function dispatchDirectEvent(nativeEvent) {
+  const dom = /** @type {Node} */ (nativeEvent.currentTarget);
+  const props = dom[FIBER_KEY]?.props;
+  if (!props) return;
+
+  const listeners = [];
+  Object.keys(props).forEach((propName) => {
+    if (!propName.startsWith("on") || typeof props[propName] !== "function") return;
+    const registration = getEventRegistration(propName);
+    if (!registration.delegated && registration.type === nativeEvent.type) {
+      listeners.push({ dom, handler: props[propName], capture: registration.capture });
+    }
+  });
+  listeners.sort((a, b) => Number(b.capture) - Number(a.capture));
+
+  runListeners(getSyntheticEvent(nativeEvent), listeners);
+}
+
+/**
+ * Installs the capture and bubble listeners for every delegated event on a root or portal container.
+ * @param {EventTarget} container - The container to listen on.
+ */
+function listenToAllEvents(container) {
+  if (listeningContainers.has(container)) return;
+  listeningContainers.add(container);
+
+  delegatedHandlerNames.forEach((_, type) => {
+    container.addEventListener(type, (event) => dispatchDelegatedEvent(event, true), true);
+    container.addEventListener(type, (event) => dispatchDelegatedEvent(event, false), false);
+  });
+}
+
+/**
+ * Makes sure a DOM node listens for the non-delegated event an event prop refers to.
+ * @param {Node} dom - The DOM node with the event prop.
+ * @param {string} propName - The event prop name.
+ */
+function listenToEventProp(dom, propName) {
+  const { type, delegated } = getEventRegistration(propName);
+  if (delegated) return;
+
+  let types = directListeners.get(dom);
+  if (!types) {
+    types = new Set();
+    directListeners.set(dom, types);
+  }
+
+  if (!types.has(type)) {
+    types.add(type);
+    dom.addEventListener(type, dispatchDirectEvent);
+  }
+}
+
+export { listenToAllEvents, listenToEventProp, setNodeFiber };
@@ -0,0 +1,81 @@
+import { createDom, updateDom } from "./work";
+import { hydrateDom, finishHydration } from "./hydration";
+import { listenToAllEvents, setNodeFiber } from "./events";
+import { finalizeSelect } from "./inputs";
+
+import { getOwnNamespace, getChildNamespace } from "@/shared/namespaces";
+
+/**
+ * Host config that renders Jepsh fibers into the browser DOM. The host context is the namespace URI children are created in.
+ */
+const domHostConfig = {
+  getRootHostContext(container) {
+    return getChildNamespace(container.namespaceURI || null, container.localName || null);
+  },
+
+  getChildHostContext(parentNamespace, type) {
+    return getChildNamespace(getOwnNamespace(parentNamespace, type), type);
+  },
+
+  createInstance(type, props, namespace) {
+    return createDom(type, props, namespace);
+  },
+
+  createTextInstance(text) {
+    return document.createTextNode(text);
+  },
+
+  appendChild(parent, child) {
+    parent.appendChild(child);
+  },
+
+  insertBefore(parent, child, before) {
+    if (before.parentNode === parent) {
+      parent.insertBefore(child, before);
+    } else {
+      parent.appendChild(child);
+    }
+  },
+
+  removeChild(parent, child) {
+    if (child.parentNode === parent) {
+      parent.removeChild(child);
+    }
+  },
+
+  prepareUpdate(dom, type, oldProps, newProps) {
+    const keys = new Set([...Object.keys(oldProps), ...Object.keys(newProps)]);
+    keys.delete("children");
+    return [...keys].some((key) => oldProps[key] !== newProps[key]) ? true : null;
+  },
+
+  commitUpdate(dom, updatePayload, type, oldProps, newProps) {
+    updateDom(dom, oldProps, newProps);
+  },
+
+  commitTextUpdate(textNode, oldText, newText) {
+    textNode.nodeValue = newText;
+  },
+
+  finalizeChildren(dom, type, props, isMount) {
+    if (type === "select") finalizeSelect(dom, props, isMount);
+  },
+
+  setInstanceFiber(dom, fiber) {
+    setNodeFiber(dom, fiber);
+  },
+
+  preparePortalMount(container) {
+    listenToAllEvents(container);
+  },
+
+  hydrateInstance(fiber, hydration, namespace) {
+    return hydrateDom(fiber, hydration, namespace);
+  },
+
+  finishHydration(hydration) {
+    finishHydration(hydration);
+  },
+};
+
+export { domHostConfig };
@@ -0,0 +1,268 @@
+import { createDom, updateDom } from "./work";
+
+import { isDev } from "@/core/constants";
+import { devWarn } from "@/utils/dev";
+import { getComponentStack } from "@/utils/error";
+import { getSvgAttributeName } from "@/shared/namespaces";
+import { getAttributeName, isBooleanAttribute, getAttributeValue } from "@/shared/attributes";
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const UNCHECKED_PROPS = new Set(["children", "key", "ref", "style", "nodeValue", "value", "checked", "defaultValue", "defaultChecked", "dangerouslySetInnerHTML"]);
+
+/**
+ * Creates the bookkeeping for hydrating a container's server-rendered markup.
+ * @param {Node} container - The container holding the server HTML.
+ * @returns {{ container: Node, cursors: Map<Node, Node | null>, claimed: Set<Node>, deletions: Node[], clientRendered: Map<Object, Node> }} The hydration state.
+ */
+function createHydrationState(container) {
+  return {
+    container,
+    cursors: new Map(),
+    claimed: new Set([container]),
+    deletions: [],
+    // The end markers of Suspense boundaries that failed or were still pending on the server, by the boundary's fiber; their content is rendered afresh.
+    clientRendered: new Map(),
+  };
+}
+
+/**
+ * Finds the DOM node a fiber's children are inserted into.
+ * @param {Object} fiber - The fiber whose host parent to find.
+ * @returns {Node|null} The parent DOM node.
+ */
+function getHostParentDom(fiber) {
+  let parent = fiber.parent;
+  while (parent && (!parent.dom || parent.type === "FRAGMENT" || parent.type === "CONTEXT_PROVIDER")) {
+    parent = parent.parent;
+  }
+  return parent?.dom || null;
+}
+
+/**
+ * Checks if a server node is the `<template id="jb:N">` placeholder of a streamed Suspense boundary that is still pending.
+ * @param {Node} node - The node to check.
+ * @returns {boolean} True if the node is a boundary placeholder.
+ */
+function isBoundaryPlaceholder(node) {
+  return node.nodeName === "TEMPLATE" && /** @type {Element} */ (node).id.startsWith("jb:");
+}
+
+/**
+ * Returns the next server node under a parent that has not been claimed yet, skipping comment markers and boundary placeholders.
+ * @param {ReturnType<typeof createHydrationState>} hydration - The hydration state.
+ * @param {Node} parentDom - The parent DOM node.
+ * @returns {Node|null} The next hydratable node.
+ */
+function getNextHydratableNode(hydration, parentDom) {
+  let node = hydration.cursors.has(parentDom) ? hydration.cursors.get(parentDom) : parentDom.firstChild;
+  while (node && (node.nodeType === COMMENT_NODE || isBoundaryPlaceholder(node))) {
+    node = node.nextSibling;
+  }
+  return node;
+}
+
+/**
+ * Finds where a host fiber goes if it belongs to a Suspense boundary whose server content is only a fallback: one that
+ * failed on the server (`<!--$!-->`), or one still waiting for its streamed content (`<!--$?-->`). The first fiber to reach
+ * such a boundary discards its server nodes up to the boundary's end marker, which the boundary's new nodes are inserted before.
+ * @param {ReturnType<typeof createHydrationState>} hydration - The hydration state.
+ * @param {Object} fiber - The host fiber being hydrated.
+ * @param {Node} parentDom - The fiber's host parent.
+ * @returns {Node|null} The end marker to insert the fiber's node before, or null to hydrate the fiber.
+ */
+function getClientRenderedAnchor(hydration, fiber, parentDom) {
+  let boundary = null;
+  for (let parent = fiber.parent; parent && parent.dom !== parentDom; parent = parent.parent) {
+    if (hydration.clientRendered.has(parent)) return hydration.clientRendered.get(parent);
+    if (parent.type === "SUSPENSE" && !boundary) boundary = parent;
+  }
+  if (!boundary) return null;
+
+  let start = hydration.cursors.has(parentDom) ? hydration.cursors.get(parentDom) : parentDom.firstChild;
+  while (start && start.nodeType === COMMENT_NODE && start.nodeValue !== "$!" && start.nodeValue !== "$?") {
+    start = start.nextSibling;
+  }
+  if (!start || start.nodeType !== COMMENT_NODE) return null;
+
+  let end = start.nextSibling;
+  for (let depth = 0; end; end = end.nextSibling) {
+    if (end.nodeType !== COMMENT_NODE) continue;
+    if (end.nodeValue === "/$") {
+      if (depth === 0) break;
+      depth--;
+    } else if (end.nodeValue.charAt(0) === "$") {
+      depth++;
+    }
+  }
+  if (!end) return null;
+
+  for (let node = start; node !== end; node = node.nextSibling) {
+    hydration.deletions.push(node);
+  }
+  hydration.deletions.push(end);
+  hydration.cursors.set(parentDom, end.nextSibling);
+  hydration.clientRendered.set(boundary, end);
+  return end;
+}
+
+/**
+ * Describes a DOM node for mismatch warnings.
+ * @param {Node} node - The node to describe.
+ * @returns {string} A short description.
+ */
+function describeNode(node) {
+  if (!node) return "nothing";
+  if (node.nodeType === TEXT_NODE) return `text "${node.nodeValue}"`;
+  return `<${node.nodeName.toLowerCase()}>`;
+}
+
+/**
+ * Describes what a fiber expects to find in the server markup.
+ * @param {Object} fiber - The fiber.
+ * @returns {string} A short description.
+ */
+function describeFiber(fiber) {
+  return fiber.type === "TEXT_ELEMENT" ? `text "${fiber.props.nodeValue}"` : `<${fiber.type}>`;
+}
+
+/**
+ * Reports a hydration mismatch in development, with the fiber's component stack.
+ * @param {Object} fiber - The fiber that did not match.
+ * @param {string} message - The mismatch description.
+ */
+function warnMismatch(fiber, message) {
+  if (!isDev) return;
+
+  let owner = fiber.parent;
+  while (owner && typeof owner.type !== "function") {
+    owner = owner.parent;
+  }
+
+  devWarn(`Hydration mismatch: ${message}`, owner?.type?.name, `\n${getComponentStack(fiber)}`);
+}
+
+/**
+ * Compares a claimed element's attributes with the fiber's props and reports differences.
+ * @param {Element} dom - The server-rendered element.
+ * @param {Object} fiber - The fiber being hydrated.
+ */
+function checkAttributes(dom, fiber) {
+  Object.keys(fiber.props).forEach((name) => {
+    const value = fiber.props[name];
+    if (UNCHECKED_PROPS.has(name) || name.startsWith("on") || typeof value === "function" || typeof value === "object") return;
+
+    const attributeName = getSvgAttributeName(getAttributeName(name));
+    const expectedValue = getAttributeValue(attributeName, value);
+    const serverValue = dom.getAttribute(attributeName);
+
+    if (isBooleanAttribute(attributeName)) {
+      if ((expectedValue !== null) !== (serverValue !== null)) {
+        warnMismatch(fiber, `attribute "${attributeName}" was ${serverValue === null ? "missing" : "present"} on the server`);
+      }
+    } else if (serverValue !== expectedValue) {
+      warnMismatch(fiber, `attribute "${attributeName}" was "${serverValue}" on the server but "${value}" on the client`);
+    }
+  });
+}
+
+/**
+ * Creates a fresh DOM node for a fiber that has no server-rendered counterpart.
+ * @param {Object} fiber - The host fiber.
+ * @param {string | null} namespace - The namespace of the fiber's parent context.
+ * @returns {Node} The new DOM node.
+ */
+function createFallbackDom(fiber, namespace) {
+  if (fiber.type === "TEXT_ELEMENT") {
+    return document.createTextNode(fiber.props.nodeValue == null ? "" : String(fiber.props.nodeValue));
+  }
+  return createDom(fiber.type, fiber.props, namespace);
+}
+
+/**
+ * Adopts the matching server-rendered DOM node for a fiber, or falls back to creating one.
+ * @param {Object} fiber - The host fiber to hydrate.
+ * @param {ReturnType<typeof createHydrationState>} hydration - The hydration state.
+ * @param {string | null} namespace - The namespace of the fiber's parent context.
+ * @returns {Node} The adopted or newly created DOM node.
+ */
+function hydrateDom(fiber, hydration, namespace) {
+  const parentDom = getHostParentDom(fiber);
+
+  if (!parentDom || !hydration.claimed.has(parentDom)) {
+    return createFallbackDom(fiber, namespace);
+  }
+
+  const clientRenderedAnchor = getClientRenderedAnchor(hydration, fiber, parentDom);
+  if (clientRenderedAnchor) {
+    fiber.hydrationAnchor = clientRenderedAnchor;
+    return createFallbackDom(fiber, namespace);
+  }
+
+  const node = getNextHydratableNode(hydration, parentDom);
+  const isText = fiber.type === "TEXT_ELEMENT";
+
+  if (isText && (fiber.props.nodeValue == null || fiber.props.nodeValue === "")) {
+    fiber.hydrationAnchor = node;
+    return createFallbackDom(fiber, namespace);
+  }
+
+  const matches = isText ? node?.nodeType === TEXT_NODE : node?.nodeType === ELEMENT_NODE && node.nodeName.toLowerCase() === String(fiber.type).toLowerCase();
+
+  if (!matches) {
+    warnMismatch(fiber, `expected ${describeFiber(fiber)} but found ${describeNode(node)}`);
+    fiber.hydrationAnchor = node;
+
+    if (node && node.nodeType === ELEMENT_NODE) {
+      hydration.cursors.set(parentDom, node.nextSibling);
+      hydration.deletions.push(node);
+    }
+
+    return createFallbackDom(fiber, namespace);
+  }
+
+  hydration.cursors.set(parentDom, node.nextSibling);
+  // Content set through dangerouslySetInnerHTML is not hydrated, so its server nodes are not checked for leftovers.
+  if (isText || fiber.props.dangerouslySetInnerHTML == null) {
+    hydration.claimed.add(node);
+  }
+
+  if (isText) {
+    if (node.nodeValue !== String(fiber.props.nodeValue)) {
+      warnMismatch(fiber, `text was "${node.nodeValue}" on the server but "${fiber.props.nodeValue}" on the client`);
+    }
+  } else if (isDev) {
+    checkAttributes(/** @type {Element} */ (node), fiber);
+  }
+
+  updateDom(node, {}, fiber.props);
+  fiber.effectTag = "HYDRATION";
+  return node;
+}
+
+/**
+ * Removes server nodes that no fiber claimed, once the hydrating render has been committed.
+ * @param {ReturnType<typeof createHydrationState>} hydration - The hydration state.
+ */
+function finishHydration(hydration) {
+  hydration.claimed.forEach((parent) => {
+    if (parent.nodeType === TEXT_NODE || parent.nodeName === "TEXTAREA") return;
+
+    let node = hydration.cursors.has(parent) ? hydration.cursors.get(parent) : parent.firstChild;
+    while (node) {
+      const next = node.nextSibling;
+      if (node.nodeType !== COMMENT_NODE && !isBoundaryPlaceholder(node)) {
+        devWarn(`Hydration mismatch: extra server node ${describeNode(node)} in ${describeNode(parent)}`);
+      }
+      parent.removeChild(node);
+      node = next;
+    }
+  });
+
+  hydration.deletions.forEach((node) => {
+    if (node.parentNode) node.parentNode.removeChild(node);
+  });
+}
+
+export { createHydrationState, hydrateDom, finishHydration };
@@ -1,10 +1,13 @@
-import { render, workLoop } from "./renderer";
-
-requestIdleCallback(workLoop); // eslint-disable-line no-undef
+import { createRoot, render, hydrate, hydrateRoot } from "./renderer";
+import { createPortal } from "./portal";
 
 const JepshDOM = {
+  createRoot,
+  createPortal,
   render,
+  hydrate,
+  hydrateRoot,
 };
 
 export default JepshDOM;
-export { render };
+export { createRoot, createPortal, render, hydrate, hydrateRoot };
@@ -0,0 +1,190 @@
+import { HTML_NAMESPACE } from "@/shared/namespaces";
+
+// Props of form controls that are synchronized with the element's live state rather than set as plain properties.
+const FORM_CONTROL_PROPS = new Set(["value", "checked", "defaultValue", "defaultChecked"]);
+
+// Input types whose `onChange` follows every keystroke through the `input` event, as for `<textarea>`.
+const TEXT_INPUT_TYPES = new Set(["color", "date", "datetime", "datetime-local", "email", "month", "number", "password", "range", "search", "tel", "text", "time", "url", "week"]);
+
+const mountedControls = new WeakSet();
+
+/**
+ * Returns the form control kind of a DOM node.
+ * @param {any} dom - The DOM node.
+ * @returns {"input" | "textarea" | "select" | null} The control kind, or null if the node is not a form control.
+ */
+function getFormControlType(dom) {
+  if (!dom || dom.namespaceURI !== HTML_NAMESPACE) return null;
+  const type = dom.localName;
+  return type === "input" || type === "textarea" || type === "select" ? type : null;
+}
+
+/**
+ * Checks whether a prop of a form control is synchronized by `updateFormControl` instead of the generic prop loop.
+ * @param {string} name - The prop name.
+ * @returns {boolean} True for `value`, `checked`, `defaultValue` and `defaultChecked`.
+ */
+function isFormControlProp(name) {
+  return FORM_CONTROL_PROPS.has(name);
+}
+
+/**
+ * Converts a prop value to the string a form control holds.
+ * @param {any} value - The prop value.
+ * @returns {string} The string value; functions, symbols and nullish values become an empty string.
+ */
+function toControlValue(value) {
+  if (value == null || typeof value === "function" || typeof value === "symbol") return "";
+  return String(value);
+}
+
+/**
+ * Sets an input or textarea's value when it differs, leaving the caret alone when nothing changed.
+ * Number inputs are compared numerically so partial input such as `1.` is not overwritten by `1`.
+ * @param {HTMLInputElement | HTMLTextAreaElement} dom - The control.
+ * @param {any} value - The value prop.
+ */
+function setControlValue(dom, value) {
+  const nextValue = toControlValue(value);
+
+  if (dom.type === "number") {
+    const isSame = dom.value === "" ? nextValue === "" : Number(dom.value) === Number(nextValue);
+    if (!isSame) dom.value = nextValue;
+  } else if (dom.value !== nextValue) {
+    dom.value = nextValue;
+  }
+}
+
+/**
+ * Selects the options of a select that match a value.
+ * Without `multiple`, the first matching option is selected, or the first enabled option if none matches.
+ * @param {HTMLSelectElement} dom - The select.
+ * @param {any} value - The value, or an array of values for `<select multiple>`.
+ */
+function setSelectValue(dom, value) {
+  const options = Array.from(dom.options);
+
+  if (dom.multiple) {
+    const selectedValues = new Set([].concat(value).map(toControlValue));
+    options.forEach((option) => {
+      const selected = selectedValues.has(option.value);
+      if (option.selected !== selected) option.selected = selected;
+    });
+    return;
+  }
+
+  const selectedValue = toControlValue(value);
+  const match = options.find((option) => option.value === selectedValue) || options.find((option) => !option.disabled);
+  if (match && !match.selected) match.selected = true;
+}
+
+/**
+ * Synchronizes an input or textarea's value and checked state with its props.
+ * Controlled props (`value`, `checked`) are applied on every update; `defaultValue` and `defaultChecked` only set the initial state,
+ * or the value a form reset restores.
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} dom - The form control.
+ * @param {Object} prevProps - Previous props.
+ * @param {Object} nextProps - Next props to apply.
+ */
+function updateFormControl(dom, prevProps, nextProps) {
+  const type = getFormControlType(dom);
+  const isMount = !mountedControls.has(dom);
+  mountedControls.add(dom);
+
+  // A select's options are not mounted yet, so its value is applied once its children are committed.
+  if (type === "select") return;
+
+  const control = /** @type {HTMLInputElement | HTMLTextAreaElement} */ (dom);
+  if (nextProps.defaultValue != null && (isMount || nextProps.defaultValue !== prevProps.defaultValue)) {
+    control.defaultValue = toControlValue(nextProps.defaultValue);
+  }
+
+  if (type === "input") {
+    const input = /** @type {HTMLInputElement} */ (dom);
+    if (nextProps.defaultChecked != null && (isMount || nextProps.defaultChecked !== prevProps.defaultChecked)) {
+      input.defaultChecked = !!nextProps.defaultChecked;
+    }
+    if (nextProps.checked != null && input.checked !== !!nextProps.checked) {
+      input.checked = !!nextProps.checked;
+    }
+  }
+
+  if (nextProps.value != null) {
+    if (isMount && type === "textarea" && nextProps.defaultValue == null) {
+      control.defaultValue = toControlValue(nextProps.value);
+    }
+    setControlValue(control, nextProps.value);
+  }
+}
+
+/**
+ * Applies a select's `value` or `defaultValue` once its options have been committed.
+ * @param {HTMLSelectElement} dom - The select.
+ * @param {Object} props - The select's props.
+ * @param {boolean} isMount - Whether the select was just created.
+ */
+function finalizeSelect(dom, props, isMount) {
+  if (props.value != null) {
+    setSelectValue(dom, props.value);
+  } else if (isMount && props.defaultValue != null) {
+    setSelectValue(dom, props.defaultValue);
+  }
+}
+
+/**
+ * Puts a controlled form control back in the state its props describe, undoing user input that did not update state.
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} dom - The form control.
+ * @param {Object} props - The props the control was last committed with.
+ */
+function restoreFormControl(dom, props) {
+  const type = getFormControlType(dom);
+
+  if (type === "select") {
+    if (props.value != null) setSelectValue(/** @type {HTMLSelectElement} */ (dom), props.value);
+    return;
+  }
+
+  if (type === "input" && props.checked != null) {
+    /** @type {HTMLInputElement} */ (dom).checked = !!props.checked;
+  }
+  if (props.value != null) {
+    setControlValue(/** @type {HTMLInputElement | HTMLTextAreaElement} */ (dom), props.value);
+  }
+}
+
+/**
+ * Checks whether a DOM node is a form control whose state is controlled by its props.
+ * @param {any} dom - The DOM node.
+ * @param {Object | null | undefined} props - The node's committed props.
+ * @returns {boolean} True if the node has a controlled `value` or `checked` prop.
+ */
+function isControlled(dom, props) {
+  return !!props && getFormControlType(dom) !== null && (props.value != null || props.checked != null);
+}
+
+/**
+ * Returns the other radio buttons in a radio's group, whose checked state the browser changes along with it.
+ * @param {any} dom - The input.
+ * @returns {HTMLInputElement[]} The other radios with the same name in the same form or document.
+ */
+function getRadioGroup(dom) {
+  if (getFormControlType(dom) !== "input" || dom.type !== "radio" || !dom.name) return [];
+
+  const scope = dom.form || dom.ownerDocument;
+  return Array.from(scope.querySelectorAll("input[type='radio']")).filter((radio) => radio !== dom && radio.name === dom.name && radio.form === dom.form);
+}
+
+/**
+ * Returns the native event that `onChange` listens to for an event target: `input` for text fields and textareas,
+ * `click` for checkboxes and radios, whose state is restored after the click if it is controlled, and `change` otherwise.
+ * @param {any} target - The event target.
+ * @returns {"input" | "click" | "change"} The native event type.
+ */
+function getChangeEventType(target) {
+  const type = getFormControlType(target);
+  if (type === "textarea" || (type === "input" && TEXT_INPUT_TYPES.has(target.type))) return "input";
+  if (type === "input" && (target.type === "checkbox" || target.type === "radio")) return "click";
+  return "change";
+}
+
+export { getFormControlType, isFormControlProp, updateFormControl, finalizeSelect, restoreFormControl, isControlled, getRadioGroup, getChangeEventType };
@@ -0,0 +1,20 @@
+import { createElement } from "@/apis/element";
+import { createError } from "@/utils/error";
+
+/**
+ * Renders children into a different DOM container while keeping them in the component tree.
+ * @param {any} children - The children to render.
+ * @param {Node} container - The DOM container to render the children into.
+ * @param {string | number | null} [key=null] - Optional key for the portal.
+ * @returns {{ type: string, key: string | number | null, props: { container: Node, children: any[] } }} The portal element.
+ * @throws {Error} If the container is not a DOM node.
+ */
+function createPortal(children, container, key = null) {
+  if (!container || typeof container.appendChild !== "function") {
+    throw createError("RENDER", "Target container is not a DOM element", "createPortal", undefined, { code: "INVALID_CONTAINER" });
+  }
+
+  return createElement("PORTAL", { container, key }, ...[].concat(children));
+}
+
+export { createPortal };
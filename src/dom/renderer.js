@@ -1,56 +1,117 @@
-import { createDom, commitRoot } from "./work";
+import { domHostConfig } from "./host-config";
+import { createHydrationState } from "./hydration";
+import { listenToAllEvents } from "./events";
 
-import { state as globalState } from "@/shared/global";
-import { PRIORITY } from "@/core/constants";
 import { createError, enhanceError } from "@/utils/error";
-import { captureError } from "@/core/error-boundary";
-import { performUnitOfWork } from "@/core/reconciler";
+import { createRenderer } from "@/core/renderer";
+import { devWarn } from "@/utils/dev";
+
+const domRenderer = createRenderer(domHostConfig);
+const containerRoots = new WeakMap();
 
 /**
- * Processes the work loop for reconciliation and rendering.
- * @param {{ timeRemaining: () => number }} deadline - The browser's idle callback deadline.
+ * Schedules a render of an element into a root.
+ * @param {ReturnType<typeof domRenderer.createContainer>} root - The root to render into.
+ * @param {{ type: string | Function, props: { children?: any[] }, key?: string | null }} element - The virtual DOM element to render.
+ * @param {string} method - The public API name, for error messages.
+ * @param {ReturnType<typeof createHydrationState> | null} hydration - Hydration state when adopting server markup.
+ * @throws {Error} If the element is missing.
  */
-function workLoop(deadline) {
-  let shouldYield = false;
-  const fiberPriority = globalState.wipRoot?.priority || PRIORITY.NORMAL;
-  const timeSlice = fiberPriority === PRIORITY.IMMEDIATE ? 16 : fiberPriority === PRIORITY.NORMAL ? 5 : fiberPriority === PRIORITY.LOW ? 2 : 1;
-
-  while (globalState.nextUnitOfWork && !shouldYield) {
-    try {
-      globalState.nextUnitOfWork = performUnitOfWork(globalState.nextUnitOfWork, createDom);
-    } catch (error) {
-      const enhanced = enhanceError(error, {
-        component: globalState.nextUnitOfWork?.type?.name || "Unknown",
-        phase: "reconciliation",
-        fiber: globalState.nextUnitOfWork,
-      });
-
-      if (!captureError(enhanced, globalState.nextUnitOfWork)) {
-        console.error("[Jepsh] Unhandled error during reconciliation:", enhanced);
-        globalState.nextUnitOfWork = null;
-        globalState.wipRoot = null;
-        return;
-      }
+function scheduleRoot(root, element, method, hydration) {
+  try {
+    if (!element) {
+      throw createError("RENDER", "Element to render is required", method, undefined, { code: "MISSING_ELEMENT" });
     }
-    shouldYield = deadline.timeRemaining() < timeSlice;
+
+    domRenderer.updateContainer(element, root, hydration);
+  } catch (error) {
+    const enhanced = enhanceError(error, {
+      phase: "render-setup",
+    });
+    console.error(`[Jepsh] Error in ${method}:`, enhanced);
+    throw enhanced;
   }
+}
 
-  if (!globalState.nextUnitOfWork && globalState.wipRoot) {
-    try {
-      commitRoot();
-    } catch (error) {
-      const enhanced = enhanceError(error, {
-        phase: "commit",
-        fiber: globalState.wipRoot,
-      });
-
-      if (!captureError(enhanced, globalState.wipRoot)) {
-        console.error("[Jepsh] Unhandled error during commit:", enhanced);
+/**
+ * Validates a container passed to a public API.
+ * @param {Node} container - The DOM container.
+ * @param {string} method - The public API name, for error messages.
+ * @throws {Error} If the container is missing.
+ */
+function assertContainer(container, method) {
+  if (!container) {
+    const error = createError("RENDER", "Container element is required", method, undefined, { code: "INVALID_CONTAINER" });
+    console.error(`[Jepsh] Error in ${method}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Creates a root handle that renders into and unmounts from a fiber root.
+ * @param {Node} container - The DOM container.
+ * @param {ReturnType<typeof domRenderer.createContainer>} root - The fiber root.
+ * @returns {{ render: (element: any) => void, unmount: () => void }} The root handle.
+ */
+function createRootHandle(container, root) {
+  let unmounted = false;
+
+  return {
+    render(element) {
+      if (unmounted) {
+        throw createError("RENDER", "Cannot render into a root that has been unmounted", "root.render", undefined, { code: "ROOT_UNMOUNTED" });
       }
-    }
+      scheduleRoot(root, element, "root.render", null);
+    },
+    unmount() {
+      if (unmounted) return;
+      unmounted = true;
+      domRenderer.unmountContainer(root);
+      if (containerRoots.get(container) === root) {
+        containerRoots.delete(container);
+      }
+    },
+  };
+}
+
+/**
+ * Creates the fiber root for a container, warning when the container already has one.
+ * @param {Node} container - The DOM container.
+ * @param {string} method - The public API name, for error messages.
+ * @returns {ReturnType<typeof domRenderer.createContainer>} The new root.
+ */
+function createContainerRoot(container, method) {
+  assertContainer(container, method);
+
+  if (containerRoots.has(container)) {
+    devWarn(`${method}() was called on a container that already has a root. Call root.render() on the existing root instead.`);
   }
 
-  requestIdleCallback(workLoop); // eslint-disable-line no-undef
+  const root = domRenderer.createContainer(container);
+  containerRoots.set(container, root);
+  listenToAllEvents(container);
+  return root;
+}
+
+/**
+ * Returns the root that the legacy `render` and `hydrate` APIs share for a container, creating it on first use.
+ * @param {Node} container - The DOM container.
+ * @param {string} method - The public API name, for error messages.
+ * @returns {ReturnType<typeof domRenderer.createContainer>} The container's root.
+ */
+function getLegacyRoot(container, method) {
+  assertContainer(container, method);
+  return containerRoots.get(container) || createContainerRoot(container, method);
+}
+
+/**
+ * Creates an independent root for a container, with its own fiber tree, update queue and effect queue.
+ * @param {Node} container - The DOM container to render into.
+ * @returns {{ render: (element: any) => void, unmount: () => void }} The root handle.
+ * @throws {Error} If the container is missing.
+ */
+function createRoot(container) {
+  return createRootHandle(container, createContainerRoot(container, "createRoot"));
 }
 
 /**
@@ -60,30 +121,30 @@ function workLoop(deadline) {
  * @throws {Error} If the container or element is missing.
  */
 function render(element, container) {
-  try {
-    if (!container) {
-      throw createError("RENDER", "Container element is required", "render");
-    }
+  scheduleRoot(getLegacyRoot(container, "render"), element, "render", null);
+}
 
-    if (!element) {
-      throw createError("RENDER", "Element to render is required", "render");
-    }
+/**
+ * Renders a virtual DOM element into a container, adopting its server-rendered markup instead of recreating it.
+ * @param {{ type: string | Function, props: { children?: any[] }, key?: string | null }} element - The virtual DOM element to hydrate.
+ * @param {Node} container - The DOM container holding the server HTML.
+ * @throws {Error} If the container or element is missing.
+ */
+function hydrate(element, container) {
+  scheduleRoot(getLegacyRoot(container, "hydrate"), element, "hydrate", createHydrationState(container));
+}
 
-    globalState.wipRoot = {
-      dom: container,
-      props: { children: [element] },
-      alternate: globalState.currentRoot,
-      priority: PRIORITY.NORMAL,
-    };
-    globalState.deletions = [];
-    globalState.nextUnitOfWork = globalState.wipRoot;
-  } catch (error) {
-    const enhanced = enhanceError(error, {
-      phase: "render-setup",
-    });
-    console.error("[Jepsh] Error in render:", enhanced);
-    throw enhanced;
-  }
+/**
+ * Hydrates a container and returns a handle for rendering further updates into it.
+ * @param {Node} container - The DOM container holding the server HTML.
+ * @param {{ type: string | Function, props: { children?: any[] }, key?: string | null }} element - The virtual DOM element to hydrate.
+ * @returns {{ render: (element: any) => void, unmount: () => void }} The root handle.
+ */
+function hydrateRoot(container, element) {
+  const root = createContainerRoot(container, "hydrateRoot");
+  scheduleRoot(root, element, "hydrateRoot", createHydrationState(container));
+
+  return createRootHandle(container, root);
 }
 
-export { render, workLoop };
+export { createRoot, render, hydrate, hydrateRoot };
@@ -1,22 +1,142 @@
-import { state as globalState } from "@/shared/global";
-import { flushEffects } from "@/core/scheduler";
-import { createError, enhanceError } from "@/utils/error";
-import { captureError } from "@/core/error-boundary";
+import { listenToEventProp } from "./events";
+import { getFormControlType, isFormControlProp, updateFormControl } from "./inputs";
+
+import { HTML_NAMESPACE, getOwnNamespace, getSvgAttributeName, getAttributeNamespace } from "@/shared/namespaces";
+import { getAttributeName, isValidAttributeName, getAttributeValue, getInnerHTML } from "@/shared/attributes";
+import { getStyleValue } from "@/shared/style";
+import { createError } from "@/utils/error";
+
+// Props that are not reflected on the node, or are handled separately from the attribute table.
+const RESERVED_PROPS = new Set(["children", "key", "ref", "style", "dangerouslySetInnerHTML"]);
+
+// Props set as DOM properties because the attribute only holds the initial state, not what the element shows.
+const PROPERTY_PROPS = new Set(["checked", "multiple", "muted", "selected"]);
 
 /**
- * Creates a DOM node for a fiber.
- * @param {Object} fiber - The fiber node to create DOM for.
- * @returns {Node|null} The created DOM node or null for fragments.
+ * Creates a DOM element in the namespace its type and host context call for.
+ * @param {string} type - The element type.
+ * @param {Object} props - The element props.
+ * @param {string | null} namespace - The namespace of the element's parent context.
+ * @returns {Element} The created element.
  */
-function createDom(fiber) {
-  if (fiber.type === "FRAGMENT" || fiber.type === "CONTEXT_PROVIDER") {
-    return null;
-  }
-  const dom = fiber.type === "TEXT_ELEMENT" ? document.createTextNode("") : document.createElement(fiber.type);
-  updateDom(dom, {}, fiber.props || {});
+function createDom(type, props, namespace) {
+  const ownNamespace = getOwnNamespace(namespace, type);
+  const dom = ownNamespace === HTML_NAMESPACE ? document.createElement(type) : document.createElementNS(ownNamespace, type);
+  updateDom(dom, {}, props || {});
   return dom;
 }
 
+/**
+ * Sets or removes an attribute on an SVG or MathML element.
+ * @param {Element} dom - The element.
+ * @param {string} name - The prop name.
+ * @param {any} value - The prop value; null, undefined and false remove the attribute.
+ */
+function setNamespacedAttribute(dom, name, value) {
+  const attributeName = name === "className" ? "class" : getSvgAttributeName(name);
+  const attributeNamespace = getAttributeNamespace(attributeName);
+  // SVG and MathML have no fixed set of boolean attributes, so any other true value sets an empty attribute.
+  const attributeValue = getAttributeValue(attributeName, value) ?? (value === true ? "" : null);
+
+  if (attributeValue === null) {
+    if (attributeNamespace) {
+      dom.removeAttributeNS(attributeNamespace, attributeName.slice(attributeName.indexOf(":") + 1));
+    } else {
+      dom.removeAttribute(attributeName);
+    }
+  } else if (attributeNamespace) {
+    dom.setAttributeNS(attributeNamespace, attributeName, attributeValue);
+  } else {
+    dom.setAttribute(attributeName, attributeValue);
+  }
+}
+
+/**
+ * Sets or removes a prop on an HTML element: as a property for live state such as `selected`, otherwise as an attribute.
+ * @param {Element} dom - The element.
+ * @param {string} name - The prop name.
+ * @param {any} value - The prop value; null and undefined remove the attribute.
+ */
+function setHTMLProp(dom, name, value) {
+  if (PROPERTY_PROPS.has(name)) {
+    dom[name] = !!value;
+    return;
+  }
+
+  const attributeName = getAttributeName(name);
+  if (!isValidAttributeName(attributeName)) return;
+
+  const attributeValue = getAttributeValue(attributeName, value);
+  if (attributeValue === null) {
+    dom.removeAttribute(attributeName);
+  } else {
+    dom.setAttribute(attributeName, attributeValue);
+  }
+}
+
+/**
+ * Sets or clears one inline style property. Custom properties and hyphenated names go through `setProperty`.
+ * @param {CSSStyleDeclaration} style - The element's style declaration.
+ * @param {string} name - The style property name.
+ * @param {any} value - The style value; nullish, boolean and empty values clear the property.
+ */
+function setStyleProperty(style, name, value) {
+  const cssValue = getStyleValue(name, value);
+
+  if (name.includes("-")) {
+    style.setProperty(name, cssValue);
+  } else if (name === "float") {
+    style.cssFloat = cssValue;
+  } else {
+    style[name] = cssValue;
+  }
+}
+
+/**
+ * Applies a `style` prop, given as an object or a CSS string, removing properties the previous style set but the next one does not.
+ * @param {Element} dom - The element.
+ * @param {Record<string, any> | string | null | undefined} prevStyle - The previous style prop.
+ * @param {Record<string, any> | string | null | undefined} nextStyle - The next style prop.
+ */
+function updateStyle(dom, prevStyle, nextStyle) {
+  const style = /** @type {HTMLElement} */ (dom).style;
+  if (!style || prevStyle === nextStyle) return;
+
+  if (nextStyle == null || typeof nextStyle !== "object") {
+    style.cssText = nextStyle == null ? "" : String(nextStyle);
+    return;
+  }
+
+  if (prevStyle == null || typeof prevStyle !== "object") {
+    style.cssText = "";
+    prevStyle = {};
+  }
+
+  Object.keys(prevStyle).forEach((name) => {
+    if (!(name in nextStyle)) setStyleProperty(style, name, null);
+  });
+  Object.keys(nextStyle).forEach((name) => {
+    if (prevStyle[name] !== nextStyle[name]) setStyleProperty(style, name, nextStyle[name]);
+  });
+}
+
+/**
+ * Replaces an element's content with its `dangerouslySetInnerHTML` when the HTML changed.
+ * @param {Element} dom - The element.
+ * @param {Object} prevProps - Previous props.
+ * @param {Object} nextProps - Next props to apply.
+ */
+function updateInnerHTML(dom, prevProps, nextProps) {
+  const prevHTML = prevProps.dangerouslySetInnerHTML?.__html;
+  const nextHTML = nextProps.dangerouslySetInnerHTML?.__html;
+  if (prevHTML === nextHTML) return;
+
+  const html = nextHTML == null ? "" : String(nextHTML);
+  if (dom.innerHTML !== html) {
+    dom.innerHTML = html;
+  }
+}
+
 /**
  * Updates DOM properties and event listeners.
  * @param {Node} dom - The DOM node to update.
@@ -24,40 +144,33 @@ function createDom(fiber) {
  * @param {Object} nextProps - Next props to apply.
  */
 function updateDom(dom, prevProps, nextProps) {
+  const isFormControl = getFormControlType(dom) !== null;
   const isEvent = (key) => key.startsWith("on");
-  const isProperty = (key) => key !== "children" && !isEvent(key) && key !== "ref";
+  const isProperty = (key) => !RESERVED_PROPS.has(key) && !isEvent(key) && !(isFormControl && isFormControlProp(key));
   const isNew = (prev, next) => (key) => prev[key] !== next[key];
   const isGone = (prev, next) => (key) => !(key in next);
 
   if (!dom) return;
+  // eslint-disable-next-line no-undef
+  const isElement = dom instanceof Element;
+  // SVG and MathML elements expose few writable properties, so their props are set as attributes.
+  const usesAttributes = isElement && dom.namespaceURI !== HTML_NAMESPACE;
   prevProps = prevProps || {};
   nextProps = nextProps || {};
 
-  if (prevProps.ref && prevProps.ref !== nextProps.ref) {
-    prevProps.ref.current = null;
-  }
-  if (nextProps.ref) {
-    nextProps.ref.current = dom;
+  if (isElement) {
+    getInnerHTML(/** @type {Element} */ (dom).localName, nextProps);
   }
 
   try {
-    Object.keys(prevProps)
-      .filter(isEvent)
-      .filter((key) => !(key in nextProps) || isNew(prevProps, nextProps)(key))
-      .forEach((name) => {
-        const eventType = name.toLowerCase().substring(2);
-        dom.removeEventListener(eventType, prevProps[name]);
-      });
-
     Object.keys(prevProps)
       .filter(isProperty)
       .filter(isGone(prevProps, nextProps))
       .forEach((name) => {
-        if (name === "style" && typeof prevProps[name] === "object") {
-          // eslint-disable-next-line no-undef
-          if (dom instanceof HTMLElement) {
-            dom.style.cssText = "";
-          }
+        if (usesAttributes) {
+          setNamespacedAttribute(/** @type {Element} */ (dom), name, null);
+        } else if (isElement) {
+          setHTMLProp(/** @type {Element} */ (dom), name, null);
         } else {
           dom[name] = "";
         }
@@ -67,163 +180,34 @@ function updateDom(dom, prevProps, nextProps) {
       .filter(isProperty)
       .filter(isNew(prevProps, nextProps))
       .forEach((name) => {
-        if (name === "style" && typeof nextProps[name] === "object") {
-          // eslint-disable-next-line no-undef
-          if (dom instanceof HTMLElement) {
-            Object.entries(nextProps[name]).forEach(([k, v]) => {
-              dom.style[k] = v;
-            });
-          }
+        if (usesAttributes) {
+          setNamespacedAttribute(/** @type {Element} */ (dom), name, nextProps[name]);
+        } else if (isElement) {
+          setHTMLProp(/** @type {Element} */ (dom), name, nextProps[name]);
         } else {
           dom[name] = nextProps[name];
         }
       });
 
-    Object.keys(nextProps)
-      .filter(isEvent)
-      .filter(isNew(prevProps, nextProps))
-      .forEach((name) => {
-        const eventType = name.toLowerCase().substring(2);
-        dom.addEventListener(eventType, nextProps[name]);
-      });
-  } catch (error) {
-    const enhanced = createError("DOM", `Error updating DOM: ${error.message}`, "DOM Update");
-    console.error(enhanced);
-  }
-}
-
-/**
- * Handles cleanup and removal of a deleted fiber node.
- * @param {Object} fiber - The fiber node being deleted.
- * @param {Node} domParent - The parent DOM node.
- */
-function commitDeletion(fiber, domParent) {
-  if (!fiber || !domParent) return;
-
-  if (fiber.hooks) {
-    Object.keys(fiber.hooks).forEach((key) => {
-      const hook = fiber.hooks[key];
-      if (hook?.cleanup && typeof hook.cleanup === "function") {
-        try {
-          hook.cleanup();
-        } catch (error) {
-          console.error("Error in effect cleanup:", error);
-        }
-      }
-    });
-    fiber.hooks = null;
-  }
-
-  if (fiber.props?._cleanup && typeof fiber.props._cleanup === "function") {
-    try {
-      fiber.props._cleanup();
-    } catch (error) {
-      console.error("Error in context cleanup:", error);
-    }
-  }
-
-  if (fiber.dom) {
-    try {
-      const actualParent = fiber.dom.parentNode;
-      if (actualParent && actualParent.contains(fiber.dom)) {
-        actualParent.removeChild(fiber.dom);
-      }
-    } catch (error) {
-      console.error("Error removing DOM node:", error);
-    }
-    fiber.dom = null;
-  } else {
-    if (fiber.child) {
-      commitDeletion(fiber.child, domParent);
-    }
-  }
-
-  fiber.alternate = null;
-  fiber.parent = null;
-  fiber.child = null;
-  fiber.sibling = null;
-  fiber.props = null;
-}
-
-/**
- * Commits changes for a single fiber node.
- * @param {Object} fiber - The fiber node to commit.
- */
-function commitWork(fiber) {
-  if (!fiber) return;
-
-  try {
-    let domParentFiber = fiber.parent;
-    while (domParentFiber && (!domParentFiber.dom || domParentFiber.type === "FRAGMENT" || domParentFiber.type === "CONTEXT_PROVIDER")) {
-      domParentFiber = domParentFiber.parent;
+    if (isElement) {
+      updateStyle(/** @type {Element} */ (dom), prevProps.style, nextProps.style);
+      updateInnerHTML(/** @type {Element} */ (dom), prevProps, nextProps);
     }
 
-    const domParent = domParentFiber?.dom || document.body;
-
-    if (fiber.effectTag === "PLACEMENT" && fiber.dom != null) {
-      domParent.appendChild(fiber.dom);
-    } else if (fiber.effectTag === "UPDATE" && fiber.dom != null) {
-      updateDom(fiber.dom, fiber.alternate.props || {}, fiber.props || {});
-    } else if (fiber.effectTag === "DELETION") {
-      commitDeletion(fiber, null);
-      return;
+    // Form controls keep their own state, so value and checked are synchronized after props such as type and multiple are set.
+    if (isFormControl) {
+      updateFormControl(/** @type {any} */ (dom), prevProps, nextProps);
     }
-  } catch (error) {
-    const enhanced = enhanceError(error, {
-      component: fiber.type?.name || "Unknown",
-      phase: "commit",
-      fiber,
-    });
-
-    if (!captureError(enhanced, fiber)) {
-      console.error("[Jepsh] Error in commitWork:", enhanced);
-    }
-  }
 
-  try {
-    commitWork(fiber.child);
-    commitWork(fiber.sibling);
+    // Bubbling events are delegated to the root; only the rest need a listener on the node itself.
+    Object.keys(nextProps)
+      .filter(isEvent)
+      .filter(isNew(prevProps, nextProps))
+      .forEach((name) => listenToEventProp(dom, name));
   } catch (error) {
-    const enhanced = enhanceError(error, {
-      phase: "commit-recursive",
-      fiber,
-    });
-
-    if (!captureError(enhanced, fiber)) {
-      console.error("[Jepsh] Error in recursive commitWork:", enhanced);
-    }
-  }
-}
-
-/**
- * Commits all changes to the DOM.
- */
-function commitRoot() {
-  function runAllInsertionEffects(fiber) {
-    if (!fiber) return;
-    runAllInsertionEffects(fiber.child);
-    runAllInsertionEffects(fiber.sibling);
-  }
-
-  function runAllLayoutEffects(fiber) {
-    if (!fiber) return;
-    runAllLayoutEffects(fiber.child);
-    runAllLayoutEffects(fiber.sibling);
-  }
-
-  runAllInsertionEffects(globalState.wipRoot);
-  const toDelete = [...globalState.deletions];
-  globalState.deletions = [];
-  toDelete.forEach((fiber) => commitDeletion(fiber, null));
-  commitWork(globalState.wipRoot.child);
-  globalState.currentRoot = globalState.wipRoot;
-  runAllLayoutEffects(globalState.currentRoot);
-
-  if (globalState.effectQueue.length > 0) {
-    setTimeout(flushEffects, 0);
+    const enhanced = createError("DOM", `Error updating DOM: ${error.message}`, "DOM Update", undefined, { code: "DOM_UPDATE_FAILED", phase: "commit", cause: error });
+    console.error(enhanced);
   }
-
-  globalState.wipRoot = null;
 }
 
-export { createDom, commitRoot };
+export { createDom, updateDom };
@@ -1,18 +1,95 @@
 import { areDepsEqual } from "./helpers";
 
 import { state as globalState } from "@/shared/global";
-import { PRIORITY } from "@/core/constants";
+import { LANES } from "@/core/constants";
+import { getPriorityLane, isSubsetOfLanes } from "@/core/lanes";
+import { getCurrentPriority } from "@/core/task-scheduler";
+import { readContext } from "@/core/fiber";
 import { scheduleUpdate, batchUpdates, enqueueBatchedUpdate } from "@/core/scheduler";
 import { createError } from "@/utils/error";
 import { captureError } from "@/core/error-boundary";
 import { validateHookUsage } from "@/utils/validation";
 
+// The lanes state updates are applied for outside a root's render, e.g. on the server: all of them.
+const ALL_LANES = -1;
+
 let isTransition = false;
 
+/**
+ * Picks the lane for a state update: the transition lane inside `startTransition`, otherwise the lane of the priority the
+ * update is made at, e.g. in a `scheduleCallback` task or a `runWithPriority` callback.
+ * @returns {number} The update's lane.
+ */
+function requestUpdateLane() {
+  return isTransition ? LANES.TRANSITION : getPriorityLane(getCurrentPriority());
+}
+
+/**
+ * Runs a callback with the state updates it makes landing in the transition lane.
+ * @param {() => void} callback - The callback that updates state.
+ */
+function runInTransition(callback) {
+  const prevIsTransition = isTransition;
+  isTransition = true;
+  try {
+    callback();
+  } finally {
+    isTransition = prevIsTransition;
+  }
+}
+
+/**
+ * Computes a state hook's state for the lanes being rendered, applying its queued updates in order on top of its base state.
+ * Updates in other lanes are skipped and kept, together with every update after them, so they are applied in order once
+ * their lane renders. The queue itself is only consumed when the render commits, so an interrupted render loses nothing.
+ * A state that differs from the committed one marks the rendering component as updated, so it cannot reuse its last output.
+ * @param {{ state: any, baseState: any, committedState: any, queue: Array<{ action: any, lane: number }> }} hook - The hook.
+ * @param {(state: any, action: any) => any} reduce - Applies an action to a state.
+ * @param {(error: Error) => void} onError - Handles an error thrown while applying an action.
+ * @returns {any} The state to render.
+ */
+function processUpdateQueue(hook, reduce, onError) {
+  const root = globalState.renderingRoot;
+  const renderLanes = root ? root.renderLanes : ALL_LANES;
+  const processedCount = hook.queue.length;
+  const baseQueue = [];
+  let state = hook.baseState;
+  let baseState = state;
+
+  hook.queue.slice(0, processedCount).forEach((update) => {
+    if (!isSubsetOfLanes(renderLanes, update.lane)) {
+      if (baseQueue.length === 0) baseState = state;
+      baseQueue.push(update);
+      return;
+    }
+
+    if (baseQueue.length > 0) baseQueue.push({ action: update.action, lane: LANES.NONE });
+    try {
+      state = reduce(state, update.action);
+    } catch (error) {
+      onError(error);
+    }
+  });
+
+  if (baseQueue.length === 0) baseState = state;
+  hook.state = state;
+
+  if (!root) {
+    hook.baseState = baseState;
+    hook.queue = baseQueue.concat(hook.queue.slice(processedCount));
+  } else if (processedCount > 0) {
+    root.hookUpdates.set(hook, { state, baseState, baseQueue, processedCount });
+  }
+  if (globalState.wipFiber && !Object.is(state, hook.committedState)) {
+    globalState.wipFiber.didReceiveUpdate = true;
+  }
+  return state;
+}
+
 /**
  * A hook for handling promises in components.
  * @param {string} key - The unique key for the hook.
- * @param {Promise<any>} promise - The promise to handle.
+ * @param {PromiseLike<any> & { status?: string, value?: any, reason?: any }} promise - The promise to handle.
  * @returns {any} The resolved value of the promise.
  * @throws {Error} If called outside a component or if the promise is invalid.
  */
@@ -20,79 +97,99 @@ function use(key, promise) {
   validateHookUsage("use", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "use must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "use must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
   const oldHook = globalState.wipFiber.alternate?.hooks?.[key] || null;
+  // A thenable's outcome is not kept as committed state, so a component that reads one always renders its new output.
+  globalState.wipFiber.didReceiveUpdate = true;
 
-  if (oldHook?.status === "fulfilled") {
+  if (oldHook?.promise === promise && oldHook.status === "fulfilled") {
     hooks[key] = oldHook;
     globalState.wipFiber.hooks = hooks;
     return oldHook.value;
   }
 
-  if (oldHook?.status === "rejected") {
+  if (oldHook?.promise === promise && oldHook.status === "rejected") {
     hooks[key] = oldHook;
     globalState.wipFiber.hooks = hooks;
     throw oldHook.reason;
   }
 
+  const fiber = globalState.wipFiber;
   const hook = oldHook || {
-    promise,
+    promise: null,
     status: "pending",
     value: null,
     reason: null,
   };
 
-  if (promise && typeof promise.then === "function" && hook.promise !== promise) {
+  if (!promise || typeof promise.then !== "function") {
+    const error = createError("HOOK", "use() expects a thenable (promise-like object)", globalState.wipFiber?.type?.name, key, {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
+    if (!captureError(error, globalState.wipFiber)) {
+      throw error;
+    }
+  } else if (hook.promise !== promise) {
     hook.promise = promise;
-    hook.status = "pending";
-
-    promise.then(
-      (value) => {
-        hook.status = "fulfilled";
-        hook.value = value;
-        try {
-          scheduleUpdate(PRIORITY.NORMAL);
-        } catch (error) {
-          const enhanced = createError("HOOK", `Error scheduling update after promise resolution: ${error.message}`, globalState.wipFiber?.type?.name, key);
-          if (!captureError(enhanced, globalState.wipFiber)) {
-            console.error(enhanced);
+    // The thenable records its own outcome, so a component that mounts again when its Suspense boundary retries reads it
+    // without suspending.
+    hook.status = promise.status === "fulfilled" || promise.status === "rejected" ? promise.status : "pending";
+    hook.value = promise.value ?? null;
+    hook.reason = promise.reason ?? null;
+
+    if (hook.status === "pending") {
+      promise.then(
+        (value) => {
+          promise.status = "fulfilled";
+          promise.value = value;
+          hook.status = "fulfilled";
+          hook.value = value;
+          try {
+            scheduleUpdate(fiber, LANES.DEFAULT);
+          } catch (error) {
+            const enhanced = createError("HOOK", `Error scheduling update after promise resolution: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+              code: "UPDATE_FAILED",
+              phase: "update",
+              cause: error,
+            });
+            if (!captureError(enhanced, globalState.wipFiber)) {
+              console.error(enhanced);
+            }
           }
-        }
-      },
-      (reason) => {
-        hook.status = "rejected";
-        hook.reason = reason;
-        try {
-          scheduleUpdate(PRIORITY.NORMAL);
-        } catch (error) {
-          const enhanced = createError("HOOK", `Error scheduling update after promise rejection: ${error.message}`, globalState.wipFiber?.type?.name, key);
-          if (!captureError(enhanced, globalState.wipFiber)) {
-            console.error(enhanced);
+        },
+        (reason) => {
+          promise.status = "rejected";
+          promise.reason = reason;
+          hook.status = "rejected";
+          hook.reason = reason;
+          try {
+            scheduleUpdate(fiber, LANES.DEFAULT);
+          } catch (error) {
+            const enhanced = createError("HOOK", `Error scheduling update after promise rejection: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+              code: "UPDATE_FAILED",
+              phase: "update",
+              cause: error,
+            });
+            if (!captureError(enhanced, globalState.wipFiber)) {
+              console.error(enhanced);
+            }
           }
         }
-      }
-    );
-  } else {
-    const error = createError("HOOK", "use() expects a thenable (promise-like object)", globalState.wipFiber?.type?.name, key);
-    if (!captureError(error, globalState.wipFiber)) {
-      throw error;
+      );
     }
   }
 
   hooks[key] = hook;
   globalState.wipFiber.hooks = hooks;
 
-  if (hook.status === "pending") {
-    try {
-      throw promise;
-    } catch (error) {
-      console.warn("Promise thrown but no Suspense boundary found. Consider implementing Suspense.");
-      throw error;
-    }
-  }
+  // The nearest Suspense boundary shows its fallback until the promise settles.
+  if (hook.status === "pending") throw promise;
+  if (hook.status === "rejected") throw hook.reason;
 
   return hook.value;
 }
@@ -109,11 +206,15 @@ function useActionState(key, action, initial) {
   validateHookUsage("useActionState", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useActionState must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useActionState must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (typeof action !== "function") {
-    throw createError("HOOK", "useActionState expects a function as the action parameter", globalState.wipFiber?.type?.name, key);
+    throw createError("HOOK", "useActionState expects a function as the action parameter", globalState.wipFiber?.type?.name, key, {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
   }
 
   const abortControllerRef = useRef(`${key}-abort`, null);
@@ -140,7 +241,7 @@ function useActionState(key, action, initial) {
         }
       } catch (err) {
         if (!signal.aborted) {
-          const enhanced = createError("ACTION", `Error in action: ${err.message}`, globalState.wipFiber?.type?.name, key);
+          const enhanced = createError("ACTION", `Error in action: ${err.message}`, globalState.wipFiber?.type?.name, key, { code: "ACTION_FAILED", phase: "update", cause: err });
           setError(enhanced.message);
           if (!captureError(enhanced, globalState.wipFiber)) {
             console.error(enhanced);
@@ -153,7 +254,7 @@ function useActionState(key, action, initial) {
         abortControllerRef.current = null;
       }
     } catch (error) {
-      const enhanced = createError("HOOK", `Error in useActionState dispatch: ${error.message}`, globalState.wipFiber?.type?.name, key);
+      const enhanced = createError("HOOK", `Error in useActionState dispatch: ${error.message}`, globalState.wipFiber?.type?.name, key, { code: "UPDATE_FAILED", phase: "update", cause: error });
       if (!captureError(enhanced, globalState.wipFiber)) {
         console.error(enhanced);
       }
@@ -188,20 +289,71 @@ function useCallback(key, callback, deps) {
 
 /**
  * A hook for accessing context values.
- * @param {{ _context: { _currentValue: any } }} context - The context object.
+ * @param {{ _context: { _defaultValue: any } }} context - The context object.
  * @returns {any} The current context value.
  * @throws {Error} If called outside a component or with an invalid context.
  */
 function useContext(context) {
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useContext must be called inside a component", "Unknown", "useContext");
+    throw createError("HOOK", "useContext must be called inside a component", "Unknown", "useContext", { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (!context || !context._context) {
-    throw createError("HOOK", "useContext must be used with a valid context object", globalState.wipFiber?.type?.name, "useContext");
+    throw createError("HOOK", "useContext must be used with a valid context object", globalState.wipFiber?.type?.name, "useContext", {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
+  }
+
+  // Recorded so a change of the provider's value re-renders this component even when its parent is skipped.
+  const fiber = globalState.wipFiber;
+  fiber.dependencies = fiber.dependencies || [];
+  const value = readContext(fiber, context._context);
+  if (!fiber.dependencies.some((dependency) => dependency.context === context._context && !dependency.select)) {
+    fiber.dependencies.push({ context: context._context, value });
   }
 
-  return context._context._currentValue;
+  return value;
+}
+
+/**
+ * A hook for reading a slice of a context value. A change of the provider's value only re-renders the component when the
+ * slice it selects changes; pass `deepEqual` to compare slices that are rebuilt from the value, such as filtered arrays.
+ * @param {{ _context: { _defaultValue: any } }} context - The context object.
+ * @param {(value: any) => any} selector - Selects the slice of the context value the component uses.
+ * @param {(a: any, b: any) => boolean} [equalityFn=Object.is] - Returns true if two slices are equal.
+ * @returns {any} The selected slice.
+ * @throws {Error} If called outside a component, with an invalid context, or without a selector function.
+ */
+function useContextSelector(context, selector, equalityFn = Object.is) {
+  if (!globalState.wipFiber) {
+    throw createError("HOOK", "useContextSelector must be called inside a component", "Unknown", "useContextSelector", { code: "HOOK_OUTSIDE_COMPONENT" });
+  }
+
+  if (!context || !context._context) {
+    throw createError("HOOK", "useContextSelector must be used with a valid context object", globalState.wipFiber?.type?.name, "useContextSelector", {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
+  }
+
+  if (typeof selector !== "function" || typeof equalityFn !== "function") {
+    throw createError("HOOK", "useContextSelector expects a selector function and an optional equality function", globalState.wipFiber?.type?.name, "useContextSelector", {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
+  }
+
+  // The selected slice is kept with the dependency, so a provider can tell whether its new value changes it.
+  const fiber = globalState.wipFiber;
+  const selected = selector(readContext(fiber, context._context));
+  fiber.dependencies = fiber.dependencies || [];
+  fiber.dependencies.push({ context: context._context, select: selector, isEqual: equalityFn, selected });
+
+  return selected;
 }
 
 /**
@@ -216,58 +368,28 @@ function useDebugValue(key, value, formatter) {
 }
 
 /**
- * A hook for deferring value updates during transitions.
+ * A hook for deferring value updates during transitions. Urgent renders keep showing the previous value while a render
+ * with the new one is scheduled in the transition lane; renders that are not urgent use the new value right away.
  * @param {string} key - The unique key for the hook.
  * @param {any} value - The value to defer.
  * @returns {any} The deferred value.
  */
 function useDeferredValue(key, value) {
-  const hooks = globalState.wipFiber.hooks || {};
-  const targetValueRef = useRef(`${key}-target`, value);
+  const renderLanes = globalState.renderingRoot?.renderLanes ?? LANES.NONE;
+  const isUrgentRender = (renderLanes & (LANES.SYNC | LANES.DEFAULT)) !== LANES.NONE;
   const [deferredValue, setDeferredValue] = useState(`${key}-deferred`, value);
-  const timeoutRef = useRef(`${key}-timeout`, null);
 
   useEffect(
     `${key}-deferEffect`,
     () => {
-      targetValueRef.current = value;
-
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-        timeoutRef.current = null;
+      if (deferredValue !== value) {
+        runInTransition(() => setDeferredValue(value));
       }
-
-      if (isTransition) {
-        if (deferredValue !== value) {
-          timeoutRef.current = setTimeout(() => {
-            setDeferredValue(targetValueRef.current);
-            timeoutRef.current = null;
-          }, 5);
-        }
-      } else {
-        if (deferredValue !== value) {
-          setDeferredValue(value);
-        }
-      }
-
-      return () => {
-        if (timeoutRef.current) {
-          clearTimeout(timeoutRef.current);
-          timeoutRef.current = null;
-        }
-      };
     },
-    [value, isTransition]
+    [value]
   );
 
-  const hook = {
-    deferredValue,
-    targetValue: targetValueRef.current,
-  };
-
-  hooks[key] = hook;
-  globalState.wipFiber.hooks = hooks;
-  return deferredValue;
+  return isUrgentRender ? deferredValue : value;
 }
 
 /**
@@ -281,7 +403,7 @@ function useEffect(key, callback, deps) {
   validateHookUsage("useEffect", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useEffect must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useEffect must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
@@ -306,7 +428,12 @@ function useEffect(key, callback, deps) {
       try {
         oldHook.cleanup();
       } catch (error) {
-        const enhanced = createError("EFFECT", `Error in effect cleanup: ${error.message}`, globalState.wipFiber?.type?.name, key);
+        const enhanced = createError("EFFECT", `Error in effect cleanup: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+          code: "EFFECT_FAILED",
+          phase: "render",
+          fiber: globalState.wipFiber,
+          cause: error,
+        });
         if (!captureError(enhanced, globalState.wipFiber)) {
           console.error(enhanced);
         }
@@ -325,9 +452,10 @@ function useEffect(key, callback, deps) {
 }
 
 /**
- * A hook for creating imperative handles for refs.
+ * A hook for exposing an imperative handle through a ref, e.g. one a `forwardRef` component receives. The handle is
+ * created and attached when the render commits, and again whenever the dependencies or the ref change.
  * @param {string} key - The unique key for the hook.
- * @param {{ current: any }} ref - The ref to attach the handle to.
+ * @param {{ current: any } | ((handle: any) => void) | null} ref - The ref to attach the handle to.
  * @param {() => any} createHandle - The function to create the handle.
  * @param {any[] | null} deps - The dependency array.
  * @throws {Error} If called outside a component or if createHandle is not a function.
@@ -336,22 +464,20 @@ function useImperativeHandle(key, ref, createHandle, deps) {
   validateHookUsage("useImperativeHandle", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useImperativeHandle must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useImperativeHandle must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (typeof createHandle !== "function") {
-    throw createError("HOOK", "useImperativeHandle expects a function to create the handle", globalState.wipFiber?.type?.name, key);
+    throw createError("HOOK", "useImperativeHandle expects a function to create the handle", globalState.wipFiber?.type?.name, key, {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
   const oldHook = globalState.wipFiber.alternate?.hooks?.[key] || null;
 
-  const hook = {
-    createHandle,
-    dependencies: deps ? [...deps] : null,
-    ref,
-  };
-
   let depsChanged = true;
   if (oldHook?.dependencies && deps) {
     depsChanged = !areDepsEqual(deps, oldHook.dependencies);
@@ -359,17 +485,14 @@ function useImperativeHandle(key, ref, createHandle, deps) {
     depsChanged = false;
   }
 
-  if (depsChanged && ref && typeof ref === "object") {
-    try {
-      const handle = createHandle();
-      ref.current = handle;
-    } catch (error) {
-      const enhanced = createError("IMPERATIVE", `Error creating imperative handle: ${error.message}`, globalState.wipFiber?.type?.name, key);
-      if (!captureError(enhanced, globalState.wipFiber)) {
-        console.error(enhanced);
-      }
-    }
-  }
+  // The commit detaches the previous handle through the cleanup before attaching the new one.
+  const hook = {
+    createHandle,
+    dependencies: deps ? [...deps] : null,
+    ref,
+    cleanup: oldHook?.cleanup ?? null,
+    needsAttach: !oldHook || depsChanged || ref !== oldHook.ref || !!oldHook.needsAttach,
+  };
 
   hooks[key] = hook;
   globalState.wipFiber.hooks = hooks;
@@ -386,11 +509,15 @@ function useInsertionEffect(key, callback, deps) {
   validateHookUsage("useInsertionEffect", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useInsertionEffect must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useInsertionEffect must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (typeof callback !== "function") {
-    throw createError("HOOK", "useInsertionEffect expects a function as first argument", globalState.wipFiber?.type?.name, key);
+    throw createError("HOOK", "useInsertionEffect expects a function as first argument", globalState.wipFiber?.type?.name, key, {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
@@ -409,12 +536,17 @@ function useInsertionEffect(key, callback, deps) {
     depsChanged = false;
   }
 
-  if (depsChanged) {
+  if (depsChanged && !globalState.isServerRendering) {
     if (oldHook?.cleanup && typeof oldHook.cleanup === "function") {
       try {
         oldHook.cleanup();
       } catch (error) {
-        const enhanced = createError("EFFECT", `Error in useInsertionEffect cleanup: ${error.message}`, globalState.wipFiber?.type?.name, key);
+        const enhanced = createError("EFFECT", `Error in useInsertionEffect cleanup: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+          code: "EFFECT_FAILED",
+          phase: "render",
+          fiber: globalState.wipFiber,
+          cause: error,
+        });
         if (!captureError(enhanced, globalState.wipFiber)) {
           console.error(enhanced);
         }
@@ -427,7 +559,12 @@ function useInsertionEffect(key, callback, deps) {
         hook.cleanup = cleanup;
       }
     } catch (error) {
-      const enhanced = createError("EFFECT", `Error in useInsertionEffect callback: ${error.message}`, globalState.wipFiber?.type?.name, key);
+      const enhanced = createError("EFFECT", `Error in useInsertionEffect callback: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+        code: "EFFECT_FAILED",
+        phase: "render",
+        fiber: globalState.wipFiber,
+        cause: error,
+      });
       if (!captureError(enhanced, globalState.wipFiber)) {
         console.error(enhanced);
       }
@@ -453,11 +590,15 @@ function useLayoutEffect(key, callback, deps) {
   validateHookUsage("useLayoutEffect", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useLayoutEffect must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useLayoutEffect must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (typeof callback !== "function") {
-    throw createError("HOOK", "useLayoutEffect expects a function as first argument", globalState.wipFiber?.type?.name, key);
+    throw createError("HOOK", "useLayoutEffect expects a function as first argument", globalState.wipFiber?.type?.name, key, {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
@@ -476,12 +617,17 @@ function useLayoutEffect(key, callback, deps) {
     depsChanged = false;
   }
 
-  if (depsChanged) {
+  if (depsChanged && !globalState.isServerRendering) {
     if (oldHook?.cleanup && typeof oldHook.cleanup === "function") {
       try {
         oldHook.cleanup();
       } catch (error) {
-        const enhanced = createError("EFFECT", `Error in useLayoutEffect cleanup: ${error.message}`, globalState.wipFiber?.type?.name, key);
+        const enhanced = createError("EFFECT", `Error in useLayoutEffect cleanup: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+          code: "EFFECT_FAILED",
+          phase: "render",
+          fiber: globalState.wipFiber,
+          cause: error,
+        });
         if (!captureError(enhanced, globalState.wipFiber)) {
           console.error(enhanced);
         }
@@ -494,7 +640,12 @@ function useLayoutEffect(key, callback, deps) {
         hook.cleanup = cleanup;
       }
     } catch (error) {
-      const enhanced = createError("EFFECT", `Error in useLayoutEffect callback: ${error.message}`, globalState.wipFiber?.type?.name, key);
+      const enhanced = createError("EFFECT", `Error in useLayoutEffect callback: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+        code: "EFFECT_FAILED",
+        phase: "render",
+        fiber: globalState.wipFiber,
+        cause: error,
+      });
       if (!captureError(enhanced, globalState.wipFiber)) {
         console.error(enhanced);
       }
@@ -521,11 +672,11 @@ function useMemo(key, factory, deps) {
   validateHookUsage("useMemo", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useMemo must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useMemo must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (typeof factory !== "function") {
-    throw createError("HOOK", "useMemo expects a function as first argument", globalState.wipFiber?.type?.name, key);
+    throw createError("HOOK", "useMemo expects a function as first argument", globalState.wipFiber?.type?.name, key, { code: "INVALID_HOOK_ARGUMENT", phase: "render", fiber: globalState.wipFiber });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
@@ -537,7 +688,12 @@ function useMemo(key, factory, deps) {
     try {
       memoizedValue = factory();
     } catch (error) {
-      const enhanced = createError("MEMO", `Error in useMemo factory: ${error.message}`, globalState.wipFiber?.type?.name, key);
+      const enhanced = createError("MEMO", `Error in useMemo factory: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+        code: "MEMO_FACTORY_FAILED",
+        phase: "render",
+        fiber: globalState.wipFiber,
+        cause: error,
+      });
       if (!captureError(enhanced, globalState.wipFiber)) {
         console.error(enhanced);
         if (oldHook?.value !== undefined) {
@@ -627,53 +783,55 @@ function useReducer(key, reducer, initial) {
   validateHookUsage("useReducer", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useReducer must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useReducer must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   if (typeof reducer !== "function") {
-    throw createError("HOOK", "useReducer expects a reducer function as first argument", globalState.wipFiber?.type?.name, key);
+    throw createError("HOOK", "useReducer expects a reducer function as first argument", globalState.wipFiber?.type?.name, key, {
+      code: "INVALID_HOOK_ARGUMENT",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
   const oldHook = globalState.wipFiber.alternate?.hooks?.[key] || null;
-
-  const hook = hooks[key] || {
-    state: oldHook?.state !== undefined ? oldHook.state : initial,
-    queue: oldHook?.queue || [],
-  };
-
-  const actions = [...hook.queue];
-  hook.queue = [];
-
-  actions.forEach((action) => {
-    try {
-      hook.state = reducer(hook.state, action);
-    } catch (error) {
-      const enhanced = createError("REDUCER", `Error in reducer: ${error.message}`, globalState.wipFiber?.type?.name, key);
-      if (!captureError(enhanced, globalState.wipFiber)) {
-        console.error(enhanced);
-        return; // eslint-disable-line no-useless-return
-      }
+  const hook = hooks[key] || oldHook || { state: initial, baseState: initial, committedState: initial, queue: [] };
+  const fiber = globalState.wipFiber;
+
+  processUpdateQueue(hook, reducer, (error) => {
+    const enhanced = createError("REDUCER", `Error in reducer: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+      code: "REDUCER_FAILED",
+      phase: "render",
+      fiber: globalState.wipFiber,
+      cause: error,
+    });
+    if (!captureError(enhanced, globalState.wipFiber)) {
+      console.error(enhanced);
     }
   });
 
-  const dispatch = (action) => {
-    try {
-      hook.queue.push(action);
-      batchUpdates(() => {
-        enqueueBatchedUpdate(isTransition ? PRIORITY.LOW : PRIORITY.NORMAL);
-      });
-    } catch (error) {
-      const enhanced = createError("HOOK", `Error in useReducer dispatch: ${error.message}`, globalState.wipFiber?.type?.name, key);
-      if (!captureError(enhanced, globalState.wipFiber)) {
-        console.error(enhanced);
+  // Kept on the hook so the dispatch function stays the same across renders, e.g. when it is passed as a callback ref.
+  if (!hook.dispatch) {
+    hook.dispatch = (action) => {
+      try {
+        const lane = requestUpdateLane();
+        hook.queue.push({ action, lane });
+        batchUpdates(() => {
+          enqueueBatchedUpdate(fiber, lane);
+        });
+      } catch (error) {
+        const enhanced = createError("HOOK", `Error in useReducer dispatch: ${error.message}`, globalState.wipFiber?.type?.name, key, { code: "UPDATE_FAILED", phase: "update", cause: error });
+        if (!captureError(enhanced, globalState.wipFiber)) {
+          console.error(enhanced);
+        }
       }
-    }
-  };
+    };
+  }
 
   hooks[key] = hook;
   globalState.wipFiber.hooks = hooks;
-  return [hook.state, dispatch];
+  return [hook.state, hook.dispatch];
 }
 
 /**
@@ -687,7 +845,7 @@ function useRef(key, initial) {
   validateHookUsage("useRef", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useRef must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useRef must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
@@ -712,48 +870,52 @@ function useState(key, initial) {
   validateHookUsage("useState", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useState must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useState must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
   const hooks = globalState.wipFiber.hooks || {};
   const oldHook = globalState.wipFiber.alternate?.hooks?.[key] || null;
 
-  const hook = hooks[key] || {
-    state: oldHook?.state !== undefined ? oldHook.state : initial,
-    queue: oldHook?.queue || [],
-  };
-
-  const actions = [...hook.queue];
-  hook.queue = [];
-
-  actions.forEach((action) => {
-    try {
-      hook.state = typeof action === "function" ? action(hook.state) : action;
-    } catch (error) {
-      const enhanced = createError("HOOK", `Error in useState updater: ${error.message}`, globalState.wipFiber?.type?.name, key);
+  const hook = hooks[key] || oldHook || { state: initial, baseState: initial, committedState: initial, queue: [] };
+  const fiber = globalState.wipFiber;
+
+  processUpdateQueue(
+    hook,
+    (state, action) => (typeof action === "function" ? action(state) : action),
+    (error) => {
+      const enhanced = createError("HOOK", `Error in useState updater: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+        code: "REDUCER_FAILED",
+        phase: "render",
+        fiber: globalState.wipFiber,
+        cause: error,
+      });
       if (!captureError(enhanced, globalState.wipFiber)) {
         console.error(enhanced);
       }
     }
-  });
+  );
 
-  const setState = (action) => {
-    try {
-      hook.queue.push(action);
-      batchUpdates(() => {
-        enqueueBatchedUpdate(isTransition ? PRIORITY.LOW : PRIORITY.NORMAL);
-      });
-    } catch (error) {
-      const enhanced = createError("HOOK", `Error in setState: ${error.message}`, globalState.wipFiber?.type?.name, key);
-      if (!captureError(enhanced, globalState.wipFiber)) {
-        console.error(enhanced);
+  // Kept on the hook so the setter stays the same across renders, e.g. when it is passed as a callback ref.
+  if (!hook.dispatch) {
+    hook.dispatch = (action) => {
+      try {
+        const lane = requestUpdateLane();
+        hook.queue.push({ action, lane });
+        batchUpdates(() => {
+          enqueueBatchedUpdate(fiber, lane);
+        });
+      } catch (error) {
+        const enhanced = createError("HOOK", `Error in setState: ${error.message}`, globalState.wipFiber?.type?.name, key, { code: "UPDATE_FAILED", phase: "update", cause: error });
+        if (!captureError(enhanced, globalState.wipFiber)) {
+          console.error(enhanced);
+        }
       }
-    }
-  };
+    };
+  }
 
   hooks[key] = hook;
   globalState.wipFiber.hooks = hooks;
-  return [hook.state, setState];
+  return [hook.state, hook.dispatch];
 }
 
 /**
@@ -766,10 +928,9 @@ function useTransition(key) {
   validateHookUsage("useTransition", key, globalState.wipFiber);
 
   if (!globalState.wipFiber) {
-    throw createError("HOOK", "useTransition must be called inside a component", "Unknown", key);
+    throw createError("HOOK", "useTransition must be called inside a component", "Unknown", key, { code: "HOOK_OUTSIDE_COMPONENT" });
   }
 
-  const pendingTransitions = new Set();
   const hooks = globalState.wipFiber.hooks || {};
   const [isPending, setIsPending] = useState(`${key}-pending`, false);
 
@@ -777,7 +938,7 @@ function useTransition(key) {
     isPending,
     startTransition: (callback) => {
       if (typeof callback !== "function") {
-        const error = createError("TRANSITION", "startTransition expects a callback function", globalState.wipFiber?.type?.name, key);
+        const error = createError("TRANSITION", "startTransition expects a callback function", globalState.wipFiber?.type?.name, key, { code: "INVALID_ARGUMENT", phase: "update" });
         if (!captureError(error, globalState.wipFiber)) {
           console.error(error);
         }
@@ -785,31 +946,26 @@ function useTransition(key) {
       }
 
       try {
+        // isPending turns on in the default lane and off in the transition lane, so it stays on until the transition commits.
         setIsPending(true);
-        const transitionId = Math.random().toString(36);
-        pendingTransitions.add(transitionId);
-
-        isTransition = true;
 
-        try {
-          callback();
-        } catch (error) {
-          const enhanced = createError("TRANSITION", `Error in transition callback: ${error.message}`, globalState.wipFiber?.type?.name, key);
-          if (!captureError(enhanced, globalState.wipFiber)) {
-            console.error(enhanced);
+        runInTransition(() => {
+          try {
+            callback();
+          } catch (error) {
+            const enhanced = createError("TRANSITION", `Error in transition callback: ${error.message}`, globalState.wipFiber?.type?.name, key, {
+              code: "TRANSITION_FAILED",
+              phase: "update",
+              cause: error,
+            });
+            if (!captureError(enhanced, globalState.wipFiber)) {
+              console.error(enhanced);
+            }
           }
-        } finally {
-          isTransition = false;
-        }
-
-        setTimeout(() => {
-          pendingTransitions.delete(transitionId);
-          if (pendingTransitions.size === 0) {
-            setIsPending(false);
-          }
-        }, 0);
+          setIsPending(false);
+        });
       } catch (error) {
-        const enhanced = createError("HOOK", `Error in useTransition: ${error.message}`, globalState.wipFiber?.type?.name, key);
+        const enhanced = createError("HOOK", `Error in useTransition: ${error.message}`, globalState.wipFiber?.type?.name, key, { code: "TRANSITION_FAILED", phase: "update", cause: error });
         if (!captureError(enhanced, globalState.wipFiber)) {
           console.error(enhanced);
         }
@@ -827,6 +983,7 @@ export {
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
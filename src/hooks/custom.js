@@ -25,7 +25,11 @@ function useGlobalState(storeNameOrSelector, selector) {
 
   const store = globalStores.get(storeName);
   if (!store) {
-    throw createError("STORE", `Global store "${storeName}" not found. Create it first with createGlobalStore.`, globalState.wipFiber?.type?.name, "useGlobalState");
+    throw createError("STORE", `Global store "${storeName}" not found. Create it first with createGlobalStore.`, globalState.wipFiber?.type?.name, "useGlobalState", {
+      code: "STORE_NOT_FOUND",
+      phase: "render",
+      fiber: globalState.wipFiber,
+    });
   }
 
   const [selectedState, setSelectedState] = useState(`global-${storeName}`, () => {
@@ -23,6 +23,22 @@ function deepEqual(a, b) {
   return false;
 }
 
+/**
+ * Performs a shallow equality comparison between two values: identical, or objects or arrays with the same keys whose values are identical by `Object.is`.
+ * @param {any} a - The first value to compare.
+ * @param {any} b - The second value to compare.
+ * @returns {boolean} True if the values are shallowly equal, false otherwise.
+ */
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a == null || b == null) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
 /**
  * Compares two dependency arrays for equality.
  * @param {Array<any> | null} deps1 - The first dependency array.
@@ -37,4 +53,4 @@ function areDepsEqual(deps1, deps2) {
   return deps1.every((dep, i) => deepEqual(dep, deps2[i]));
 }
 
-export { deepEqual, areDepsEqual };
+export { deepEqual, shallowEqual, areDepsEqual };
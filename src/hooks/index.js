@@ -3,6 +3,7 @@ import {
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
@@ -23,6 +24,7 @@ export {
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
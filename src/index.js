@@ -1,9 +1,10 @@
-import { createElement, createContext, createHooks, withErrorBoundary } from "./apis";
+import { createElement, createContext, memo, lazy, createRef, forwardRef, createHooks, withErrorBoundary } from "./apis";
 import {
   use,
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
@@ -17,19 +18,30 @@ import {
   useState,
   useTransition,
 } from "./hooks";
-import { Fragment, ErrorBoundary } from "./components";
+import { Fragment, Suspense, SuspenseList, ErrorBoundary } from "./components";
+import { createRenderer } from "./core/renderer";
+import { PRIORITY } from "./core/constants";
+import { scheduleCallback, cancelCallback, shouldYield, runWithPriority } from "./core/task-scheduler";
+import { deepEqual } from "./hooks/helpers";
+import { JepshError } from "./utils/error";
 
 const Jepsh = {
   // APIs
   createElement,
   createContext,
+  memo,
+  lazy,
+  createRef,
+  forwardRef,
   createHooks,
   withErrorBoundary,
+  createRenderer,
   // Hooks
   use,
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
@@ -44,7 +56,18 @@ const Jepsh = {
   useTransition,
   // Components
   Fragment,
+  Suspense,
+  SuspenseList,
   ErrorBoundary,
+  // Scheduler
+  PRIORITY,
+  scheduleCallback,
+  cancelCallback,
+  shouldYield,
+  runWithPriority,
+  // Utilities
+  deepEqual,
+  JepshError,
 };
 
 export default Jepsh;
@@ -52,13 +75,19 @@ export {
   // APIs
   createElement,
   createContext,
+  memo,
+  lazy,
+  createRef,
+  forwardRef,
   createHooks,
   withErrorBoundary,
+  createRenderer,
   // Hooks
   use,
   useActionState,
   useCallback,
   useContext,
+  useContextSelector,
   useDebugValue,
   useDeferredValue,
   useEffect,
@@ -73,5 +102,16 @@ export {
   useTransition,
   // Components
   Fragment,
+  Suspense,
+  SuspenseList,
   ErrorBoundary,
+  // Scheduler
+  PRIORITY,
+  scheduleCallback,
+  cancelCallback,
+  shouldYield,
+  runWithPriority,
+  // Utilities
+  deepEqual,
+  JepshError,
 };
@@ -0,0 +1,12 @@
+import { renderToString, renderToStaticMarkup } from "./render";
+import { renderToReadableStream, renderToPipeableStream } from "./stream";
+
+const JepshServer = {
+  renderToString,
+  renderToStaticMarkup,
+  renderToReadableStream,
+  renderToPipeableStream,
+};
+
+export default JepshServer;
+export { renderToString, renderToStaticMarkup, renderToReadableStream, renderToPipeableStream };
@@ -0,0 +1,378 @@
+import { state as globalState } from "@/shared/global";
+import { captureError } from "@/core/error-boundary";
+import { createError, enhanceError, getComponentStack } from "@/utils/error";
+import { isThenable } from "@/utils/validation";
+import { getSvgAttributeName } from "@/shared/namespaces";
+import { getAttributeName, isValidAttributeName, getAttributeValue, getInnerHTML } from "@/shared/attributes";
+import { serializeStyle } from "@/shared/style";
+
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+const RESERVED_PROPS = new Set(["children", "key", "ref", "nodeValue", "dangerouslySetInnerHTML"]);
+const DEFAULT_VALUE_ALIASES = { defaultValue: "value", defaultChecked: "checked" };
+const TEXT_SEPARATOR = "<!-- -->";
+
+const failedFibers = new WeakMap();
+const erroredBoundaries = new WeakSet();
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute.
+ * @param {any} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#x27;");
+}
+
+/**
+ * Creates the mutable state shared by a single server render pass.
+ * @param {{ staticMarkup?: boolean, onSuspend?: (fiber: Object, thenable: PromiseLike<any>, fallback?: string) => string }} [options={}] - Render options.
+ * @returns {{ staticMarkup: boolean, previousWasText: boolean, selectValue: any, suspendedFiber: any, onSuspend: ((fiber: Object, thenable: PromiseLike<any>, fallback?: string) => string) | null }} The render context.
+ */
+function createRenderContext(options = {}) {
+  return {
+    staticMarkup: !!options.staticMarkup,
+    previousWasText: false,
+    selectValue: undefined,
+    suspendedFiber: null,
+    onSuspend: options.onSuspend || null,
+  };
+}
+
+/**
+ * Creates a lightweight fiber used while rendering on the server.
+ * @param {{ type: any, key?: any, props?: Object }} element - The element being rendered.
+ * @param {Object|null} parent - The parent server fiber.
+ * @param {Object|null} [alternate=null] - A previous fiber for the same element, if re-rendering.
+ * @returns {Object} The server fiber.
+ */
+function createServerFiber(element, parent, alternate = null) {
+  return {
+    type: element.type,
+    key: element.key,
+    props: element.props || {},
+    parent,
+    alternate,
+    hooks: {},
+  };
+}
+
+/**
+ * Renders escaped text, separating adjacent text nodes so they survive hydration.
+ * @param {any} text - The text to render.
+ * @param {Object} context - The render context.
+ * @returns {string} The HTML for the text.
+ */
+function renderText(text, context) {
+  if (text == null || text === "") return "";
+
+  const separator = context.previousWasText && !context.staticMarkup ? TEXT_SEPARATOR : "";
+  context.previousWasText = true;
+  return separator + escapeHtml(text);
+}
+
+/**
+ * Serializes host element props into an HTML attribute string.
+ * @param {string} type - The host element type.
+ * @param {Object} props - The element props.
+ * @returns {string} The attribute string, with a leading space per attribute.
+ */
+function renderAttributes(type, props) {
+  let html = "";
+
+  Object.keys(props).forEach((name) => {
+    const value = props[name];
+
+    if (RESERVED_PROPS.has(name) || value == null || typeof value === "function" || !isValidAttributeName(name)) return;
+    if (type === "select" && (name === "value" || name === "defaultValue")) return;
+    if (type === "textarea" && (name === "value" || name === "defaultValue")) return;
+    if (name === "defaultValue" && props.value != null) return;
+    if (name === "defaultChecked" && props.checked != null) return;
+
+    if (name === "style") {
+      const css = serializeStyle(value);
+      if (css) html += ` style="${escapeHtml(css)}"`;
+      return;
+    }
+
+    const attributeName = DEFAULT_VALUE_ALIASES[name] || getSvgAttributeName(getAttributeName(name));
+    const attributeValue = getAttributeValue(attributeName, value);
+    if (attributeValue !== null) {
+      html += ` ${attributeName}="${escapeHtml(attributeValue)}"`;
+    }
+  });
+
+  return html;
+}
+
+/**
+ * Checks whether an `<option>` matches the value of its enclosing `<select>`.
+ * @param {Object} props - The option props.
+ * @param {any} selectValue - The select's value or default value.
+ * @returns {boolean} True if the option should be rendered as selected.
+ */
+function isOptionSelected(props, selectValue) {
+  if (selectValue == null) return false;
+
+  const optionValue = props.value != null ? String(props.value) : (props.children || []).map((child) => (child && child.type === "TEXT_ELEMENT" ? child.props.nodeValue : "")).join("");
+
+  return Array.isArray(selectValue) ? selectValue.map(String).includes(optionValue) : String(selectValue) === optionValue;
+}
+
+/**
+ * Renders a host element and its children to HTML.
+ * @param {{ type: string, key?: any, props?: Object }} element - The host element.
+ * @param {Object|null} parent - The parent server fiber.
+ * @param {Object} context - The render context.
+ * @returns {string} The element's HTML.
+ */
+function renderHostElement(element, parent, context) {
+  const fiber = createServerFiber(element, parent);
+  const { type, props } = fiber;
+
+  const selected = type === "option" && !props.selected && isOptionSelected(props, context.selectValue);
+  const attributes = renderAttributes(type, selected ? { ...props, selected: true } : props);
+
+  context.previousWasText = false;
+  if (VOID_ELEMENTS.has(type)) return `<${type}${attributes}/>`;
+
+  const innerHTML = getInnerHTML(type, props);
+
+  let inner;
+  if (innerHTML !== null) {
+    inner = innerHTML;
+  } else if (type === "textarea") {
+    const value = props.value != null ? props.value : props.defaultValue;
+    inner = value != null ? escapeHtml(value) : renderNode(props.children, fiber, context);
+  } else if (type === "select") {
+    const previousSelectValue = context.selectValue;
+    context.selectValue = props.value != null ? props.value : props.defaultValue;
+    try {
+      inner = renderNode(props.children, fiber, context);
+    } finally {
+      context.selectValue = previousSelectValue;
+    }
+  } else {
+    inner = renderNode(props.children, fiber, context);
+  }
+
+  context.previousWasText = false;
+  return `<${type}${attributes}>${inner}</${type}>`;
+}
+
+/**
+ * Checks whether a server fiber is rendered inside a Suspense boundary.
+ * @param {Object} fiber - The server fiber.
+ * @returns {boolean} True if a Suspense fiber is among its ancestors.
+ */
+function hasSuspenseBoundary(fiber) {
+  for (let node = fiber.parent; node; node = node.parent) {
+    if (node.type === "SUSPENSE") return true;
+  }
+  return false;
+}
+
+/**
+ * Renders a Suspense boundary's children, or its fallback if one of them suspends. When streaming, the fallback is sent
+ * in place of the children, which are streamed in once they are ready; otherwise it is left for the client to replace.
+ * @param {{ type: string, key?: any, props: { fallback?: any, children?: any } }} element - The Suspense element.
+ * @param {Object|null} parent - The parent server fiber.
+ * @param {Object} context - The render context.
+ * @returns {string} The children's HTML, or the fallback's.
+ */
+function renderSuspense(element, parent, context) {
+  const fiber = createServerFiber(element, parent);
+  const boundaryDepth = globalState.errorBoundaryStack.length;
+  const previousWasText = context.previousWasText;
+
+  try {
+    return renderNode(fiber.props.children, fiber, context);
+  } catch (error) {
+    if (!isThenable(error)) throw error;
+
+    globalState.errorBoundaryStack.length = boundaryDepth;
+    context.previousWasText = previousWasText;
+    // The fallback is rendered outside the boundary, so if it suspends too the next boundary up handles it.
+    const fallback = renderNode(fiber.props.fallback, parent, context);
+    if (context.staticMarkup) return fallback;
+
+    context.previousWasText = false;
+    // Without streaming, the boundary is marked as client-rendered so hydration replaces the fallback instead of matching it.
+    return context.onSuspend ? context.onSuspend(fiber, error, fallback) : `<!--$!-->${fallback}<!--/$-->`;
+  }
+}
+
+/**
+ * Re-renders an error boundary in its error state after a descendant threw.
+ * @param {{ fiber: Object, setHasError: Function, setError: Function, setErrorInfo: Function }} boundary - The boundary entry.
+ * @param {Error} error - The captured error.
+ * @param {Object} context - The render context.
+ * @returns {string} The fallback's HTML.
+ */
+function renderErrorFallback(boundary, error, context) {
+  const failedFiber = failedFibers.get(error) || boundary.fiber;
+
+  captureError(error, failedFiber);
+  boundary.setHasError(true);
+  boundary.setError(error);
+  boundary.setErrorInfo({ componentStack: getComponentStack(failedFiber) });
+  erroredBoundaries.add(boundary.fiber);
+
+  return renderComponent(boundary.fiber, boundary.fiber.parent, context, boundary.fiber);
+}
+
+/**
+ * Runs a function component once with the keyed hooks and renders its output.
+ * @param {{ type: Function, key?: any, props?: Object }} element - The component element.
+ * @param {Object|null} parent - The parent server fiber.
+ * @param {Object} context - The render context.
+ * @param {Object|null} [alternate=null] - A previous fiber whose hook state should be reused.
+ * @returns {string} The component's HTML.
+ */
+function renderComponent(element, parent, context, alternate = null) {
+  const fiber = createServerFiber(element, parent, alternate);
+  const boundaryDepth = globalState.errorBoundaryStack.length;
+  const previousFiber = globalState.wipFiber;
+
+  let children;
+  globalState.wipFiber = fiber;
+
+  try {
+    children = fiber.type(fiber.props);
+  } catch (error) {
+    if (isThenable(error)) {
+      if (context.onSuspend && !hasSuspenseBoundary(fiber)) {
+        context.previousWasText = false;
+        return context.onSuspend(fiber, error);
+      }
+      context.suspendedFiber = fiber;
+      throw error;
+    }
+    if (failedFibers.has(error)) throw error;
+
+    const enhanced = enhanceError(error, {
+      component: fiber.type.name || "Anonymous",
+      phase: "server-render",
+      fiber,
+    });
+    failedFibers.set(enhanced, fiber);
+    throw enhanced;
+  } finally {
+    globalState.wipFiber = previousFiber;
+  }
+
+  const boundary = erroredBoundaries.has(alternate) ? null : globalState.errorBoundaryStack.find((b, i) => i >= boundaryDepth && b.fiber === fiber);
+
+  try {
+    return renderNode(children, fiber, context);
+  } catch (error) {
+    if (!boundary || isThenable(error)) throw error;
+    globalState.errorBoundaryStack.length = boundaryDepth + 1;
+    return renderErrorFallback(boundary, error, context);
+  } finally {
+    globalState.errorBoundaryStack.length = boundaryDepth;
+  }
+}
+
+/**
+ * Renders any renderable value (element, text, array or empty value) to HTML.
+ * @param {any} node - The value to render.
+ * @param {Object|null} parent - The parent server fiber.
+ * @param {Object} context - The render context.
+ * @returns {string} The HTML.
+ */
+function renderNode(node, parent, context) {
+  if (node == null || typeof node === "boolean") return "";
+  if (typeof node === "string" || typeof node === "number") return renderText(node, context);
+  if (Array.isArray(node)) return node.map((child) => renderNode(child, parent, context)).join("");
+
+  const { type } = node;
+
+  if (type === "TEXT_ELEMENT") return renderText(node.props?.nodeValue, context);
+  if (typeof type === "function") return renderComponent(node, parent, context);
+  // Components below a provider read its value by walking up to its fiber. A SuspenseList's rows are all in the server HTML,
+  // so their reveal order only applies on the client.
+  if (type === "FRAGMENT" || type === "CONTEXT_PROVIDER" || type === "SUSPENSE_LIST") return renderNode(node.props?.children, createServerFiber(node, parent), context);
+  if (type === "SUSPENSE") return renderSuspense(node, parent, context);
+  // Portals target a client-side container, so their content mounts after hydration.
+  if (type === "PORTAL") return "";
+  if (typeof type === "string") return renderHostElement(node, parent, context);
+
+  throw createError("SERVER", `Invalid element type: ${String(type)}`, parent?.type?.name, undefined, {
+    code: "INVALID_ELEMENT_TYPE",
+    phase: "server-render",
+    fiber: parent,
+  });
+}
+
+/**
+ * Runs a synchronous server render pass, isolating it from any client rendering state.
+ * @template T
+ * @param {() => T} fn - The render pass to run.
+ * @returns {T} The result of the render pass.
+ */
+function runServerRender(fn) {
+  const previousFiber = globalState.wipFiber;
+  const wasServerRendering = globalState.isServerRendering;
+  const boundaryDepth = globalState.errorBoundaryStack.length;
+
+  globalState.isServerRendering = true;
+
+  try {
+    return fn();
+  } finally {
+    globalState.wipFiber = previousFiber;
+    globalState.isServerRendering = wasServerRendering;
+    globalState.errorBoundaryStack.length = boundaryDepth;
+  }
+}
+
+/**
+ * Renders an element tree to HTML in a single synchronous pass.
+ * @param {{ type: string | Function, props: Object, key?: string | null }} element - The element to render.
+ * @param {{ staticMarkup?: boolean }} options - Render options.
+ * @param {string} method - The public API name, for error messages.
+ * @returns {string} The rendered HTML.
+ * @throws {Error} If the element is missing, a component throws outside an error boundary, or a component suspends outside a Suspense boundary.
+ */
+function renderRoot(element, options, method) {
+  if (!element) {
+    throw createError("RENDER", "Element to render is required", method, undefined, { code: "MISSING_ELEMENT" });
+  }
+
+  const context = createRenderContext(options);
+
+  try {
+    return runServerRender(() => renderNode(element, null, context));
+  } catch (error) {
+    if (isThenable(error)) {
+      throw createError(
+        "SERVER",
+        "A component suspended while rendering synchronously. Use renderToReadableStream or renderToPipeableStream to wait for data",
+        context.suspendedFiber?.type?.name,
+        method,
+        { code: "SUSPENDED_OUTSIDE_STREAM", phase: "server-render", fiber: context.suspendedFiber, cause: error }
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Renders an element tree to an HTML string that can be hydrated on the client.
+ * @param {{ type: string | Function, props: Object, key?: string | null }} element - The element to render.
+ * @returns {string} The rendered HTML.
+ */
+function renderToString(element) {
+  return renderRoot(element, { staticMarkup: false }, "renderToString");
+}
+
+/**
+ * Renders an element tree to static HTML without hydration markers.
+ * @param {{ type: string | Function, props: Object, key?: string | null }} element - The element to render.
+ * @returns {string} The rendered HTML.
+ */
+function renderToStaticMarkup(element) {
+  return renderRoot(element, { staticMarkup: true }, "renderToStaticMarkup");
+}
+
+export { renderToString, renderToStaticMarkup, renderNode, renderComponent, runServerRender, createRenderContext, escapeHtml };
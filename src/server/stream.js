@@ -0,0 +1,355 @@
+import { renderNode, renderComponent, runServerRender, createRenderContext, escapeHtml } from "./render";
+
+import { state as globalState } from "@/shared/global";
+import { captureError } from "@/core/error-boundary";
+import { createError } from "@/utils/error";
+import { isThenable } from "@/utils/validation";
+
+// Moves a completed segment in place of its boundary's fallback and marks the boundary as complete. A segment whose boundary
+// was already rendered on the client during hydration is discarded.
+const COMPLETE_BOUNDARY_FUNCTION =
+  "$JRC=function(b,s){var t=document.getElementById(b),c=document.getElementById(s);if(!c)return;if(!t){c.parentNode.removeChild(c);return}" +
+  "var p=t.parentNode,m=t.previousSibling,n=t.nextSibling,d=0;" +
+  "while(n){var x=n.nextSibling;if(n.nodeType===8){if(n.data==='/$'){if(d===0)break;d--}else if(n.data.charAt(0)==='$')d++}p.removeChild(n);n=x}" +
+  "while(c.firstChild)p.insertBefore(c.firstChild,n);if(m&&m.nodeType===8)m.data='$';p.removeChild(t);c.parentNode.removeChild(c)};";
+
+// Marks a boundary whose content failed to render on the server, so the client renders it instead of hydrating its fallback.
+const CLIENT_RENDER_BOUNDARY_FUNCTION = "$JRX=function(b){var t=document.getElementById(b);if(!t)return;var m=t.previousSibling;if(m&&m.nodeType===8)m.data='$!';t.parentNode.removeChild(t)};";
+
+/**
+ * Creates the state for a single streaming render.
+ * @param {any} element - The element to render.
+ * @param {{ nonce?: string, onError?: (error: Error) => void, onShellReady?: () => void, onShellError?: (error: Error) => void, onAllReady?: () => void }} options - Stream options.
+ * @returns {Object} The stream request.
+ */
+function createStreamRequest(element, options) {
+  return {
+    element,
+    chunks: [],
+    destination: null,
+    pendingBoundaries: 0,
+    nextBoundaryId: 0,
+    completeFunctionSent: false,
+    clientRenderFunctionSent: false,
+    shellReady: false,
+    closed: false,
+    ended: false,
+    fatalError: null,
+    nonce: options.nonce,
+    onError: options.onError || ((error) => console.error("[Jepsh] Error during streaming render:", error)),
+    onShellReady: options.onShellReady || (() => {}),
+    onShellError: options.onShellError || (() => {}),
+    onAllReady: options.onAllReady || (() => {}),
+  };
+}
+
+/**
+ * Creates a render context whose suspended components become streamed boundaries.
+ * @param {Object} request - The stream request.
+ * @returns {Object} The render context.
+ */
+function createStreamContext(request) {
+  return createRenderContext({
+    onSuspend: (fiber, thenable, fallback) => suspendBoundary(request, fiber, thenable, fallback),
+  });
+}
+
+/**
+ * Writes buffered chunks to the destination and closes it once every boundary has resolved.
+ * @param {Object} request - The stream request.
+ */
+function flushChunks(request) {
+  if (!request.destination) return;
+
+  const chunks = request.chunks;
+  request.chunks = [];
+  chunks.forEach((chunk) => request.destination.write(chunk));
+
+  if (request.closed && !request.ended) {
+    request.ended = true;
+    request.destination.end();
+  }
+}
+
+/**
+ * Closes the request once the shell and every pending boundary have been written.
+ * @param {Object} request - The stream request.
+ */
+function completeIfReady(request) {
+  if (request.closed || !request.shellReady || request.pendingBoundaries > 0) return;
+
+  request.closed = true;
+  request.onAllReady();
+  flushChunks(request);
+}
+
+/**
+ * Wraps inline script content in a script tag.
+ * @param {Object} request - The stream request.
+ * @param {string} content - The script content.
+ * @returns {string} The script tag.
+ */
+function inlineScript(request, content) {
+  const nonce = request.nonce ? ` nonce="${escapeHtml(request.nonce)}"` : "";
+  return `<script${nonce}>${content}</script>`;
+}
+
+/**
+ * Reports a render error through the nearest error boundary, or the request's onError.
+ * @param {Object} request - The stream request.
+ * @param {Error} error - The error.
+ * @param {Object} fiber - The server fiber where rendering failed.
+ */
+function reportError(request, error, fiber) {
+  if (!captureError(error, fiber)) {
+    try {
+      request.onError(error);
+    } catch (e) {
+      console.error("[Jepsh] Error in streaming onError callback:", e);
+    }
+  }
+}
+
+/**
+ * Registers a boundary for a suspended component, or a Suspense boundary with a suspended child, and returns its placeholder.
+ * @param {Object} request - The stream request.
+ * @param {Object} fiber - The server fiber that suspended, or the Suspense fiber.
+ * @param {PromiseLike<any>} thenable - The thenable the component is waiting on.
+ * @param {string} [fallback=""] - The fallback HTML shown until the boundary's content is streamed.
+ * @returns {string} The placeholder HTML.
+ */
+function suspendBoundary(request, fiber, thenable, fallback = "") {
+  const boundary = {
+    id: request.nextBoundaryId++,
+    fiber,
+    errorBoundaries: globalState.errorBoundaryStack.slice(),
+  };
+
+  request.pendingBoundaries++;
+
+  const retry = () => retryBoundary(request, boundary);
+  thenable.then(retry, retry);
+
+  return `<!--$?--><template id="jb:${boundary.id}"></template>${fallback}<!--/$-->`;
+}
+
+/**
+ * Renders a suspended component, or a Suspense boundary's children, again once its thenable settles, and streams the result.
+ * A boundary that suspends again waits for the new thenable; one that fails keeps its fallback and is marked for the client
+ * to render.
+ * @param {Object} request - The stream request.
+ * @param {{ id: number, fiber: Object, errorBoundaries: any[] }} boundary - The suspended boundary.
+ */
+function retryBoundary(request, boundary) {
+  if (request.closed) return;
+
+  const context = createStreamContext(request);
+  const { fiber } = boundary;
+  let html = null;
+
+  try {
+    html = runServerRender(() => {
+      globalState.errorBoundaryStack.push(...boundary.errorBoundaries);
+      return fiber.type === "SUSPENSE" ? renderNode(fiber.props.children, fiber, context) : renderComponent(fiber, fiber.parent, context, fiber);
+    });
+  } catch (error) {
+    if (isThenable(error)) {
+      const retry = () => retryBoundary(request, boundary);
+      error.then(retry, retry);
+      return;
+    }
+
+    runServerRender(() => {
+      globalState.errorBoundaryStack.push(...boundary.errorBoundaries);
+      reportError(request, error, boundary.fiber);
+    });
+
+    let script = `$JRX("jb:${boundary.id}")`;
+    if (!request.clientRenderFunctionSent) {
+      request.clientRenderFunctionSent = true;
+      script = CLIENT_RENDER_BOUNDARY_FUNCTION + script;
+    }
+    request.chunks.push(inlineScript(request, script));
+  }
+
+  if (html !== null) {
+    let script = `$JRC("jb:${boundary.id}","js:${boundary.id}")`;
+    if (!request.completeFunctionSent) {
+      request.completeFunctionSent = true;
+      script = COMPLETE_BOUNDARY_FUNCTION + script;
+    }
+    request.chunks.push(`<div hidden id="js:${boundary.id}">${html}</div>${inlineScript(request, script)}`);
+  }
+
+  request.pendingBoundaries--;
+  flushChunks(request);
+  completeIfReady(request);
+}
+
+/**
+ * Renders the shell and starts waiting on any suspended boundaries. A request aborted before its render started is left as is.
+ * @param {Object} request - The stream request.
+ */
+function startWork(request) {
+  if (request.closed) return;
+
+  const context = createStreamContext(request);
+  let html;
+
+  try {
+    html = runServerRender(() => renderNode(request.element, null, context));
+  } catch (error) {
+    request.closed = true;
+    request.ended = true;
+    request.fatalError = error;
+    reportError(request, error, null);
+    request.onShellError(error);
+    request.destination?.error(error);
+    return;
+  }
+
+  request.chunks.push(html);
+  request.shellReady = true;
+  request.onShellReady();
+  flushChunks(request);
+  completeIfReady(request);
+}
+
+/**
+ * Stops waiting on pending boundaries, leaving their fallbacks in the streamed HTML.
+ * @param {Object} request - The stream request.
+ * @param {any} [reason] - The abort reason.
+ */
+function abortRequest(request, reason) {
+  if (request.closed) return;
+
+  const error = reason instanceof Error ? reason : createError("SERVER", "The render was aborted before all boundaries resolved", "abort", undefined, { code: "RENDER_ABORTED" });
+
+  if (!request.shellReady) {
+    request.closed = true;
+    request.ended = true;
+    request.fatalError = error;
+    request.onShellError(error);
+    request.destination?.error(error);
+    return;
+  }
+
+  if (request.pendingBoundaries > 0) {
+    reportError(request, error, null);
+  }
+
+  request.closed = true;
+  request.onAllReady();
+  flushChunks(request);
+}
+
+/**
+ * Validates the element passed to a streaming API.
+ * @param {any} element - The element to render.
+ * @param {string} method - The public API name, for error messages.
+ * @throws {Error} If the element is missing.
+ */
+function assertElement(element, method) {
+  if (!element) {
+    throw createError("RENDER", "Element to render is required", method, undefined, { code: "MISSING_ELEMENT" });
+  }
+}
+
+/**
+ * Renders an element tree to a web ReadableStream, streaming suspended subtrees as they resolve.
+ * @param {{ type: string | Function, props: Object, key?: string | null }} element - The element to render.
+ * @param {{ nonce?: string, signal?: AbortSignal, onError?: (error: Error) => void }} [options={}] - Stream options.
+ * @returns {Promise<ReadableStream & { allReady: Promise<void> }>} Resolves with the stream once the shell has rendered.
+ */
+function renderToReadableStream(element, options = {}) {
+  assertElement(element, "renderToReadableStream");
+
+  return new Promise((resolve, reject) => {
+    let resolveAllReady, rejectAllReady;
+    const allReady = new Promise((resolve, reject) => {
+      resolveAllReady = resolve;
+      rejectAllReady = reject;
+    });
+    allReady.catch(() => {});
+
+    let stream = null;
+    const request = createStreamRequest(element, {
+      nonce: options.nonce,
+      onError: options.onError,
+      onShellReady: () => resolve(stream),
+      onShellError: (error) => {
+        rejectAllReady(error);
+        reject(error);
+      },
+      onAllReady: () => resolveAllReady(),
+    });
+
+    const encoder = new TextEncoder();
+    // eslint-disable-next-line no-undef
+    const readable = new ReadableStream(
+      {
+        start(controller) {
+          request.destination = {
+            write: (chunk) => controller.enqueue(encoder.encode(chunk)),
+            end: () => controller.close(),
+            error: (error) => controller.error(error),
+          };
+        },
+        cancel(reason) {
+          abortRequest(request, reason);
+        },
+      },
+      { highWaterMark: 0 }
+    );
+    stream = Object.assign(readable, { allReady });
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        abortRequest(request, options.signal.reason);
+      } else {
+        options.signal.addEventListener("abort", () => abortRequest(request, options.signal.reason), { once: true });
+      }
+    }
+
+    setTimeout(() => startWork(request), 0);
+  });
+}
+
+/**
+ * Renders an element tree for piping into a Node.js writable stream.
+ * @param {{ type: string | Function, props: Object, key?: string | null }} element - The element to render.
+ * @param {{ nonce?: string, onError?: (error: Error) => void, onShellReady?: () => void, onShellError?: (error: Error) => void, onAllReady?: () => void }} [options={}] - Stream options.
+ * @returns {{ pipe: (destination: { write: (chunk: string) => any, end: () => any, destroy?: (error?: Error) => any }) => any, abort: (reason?: any) => void }} The pipeable stream.
+ */
+function renderToPipeableStream(element, options = {}) {
+  assertElement(element, "renderToPipeableStream");
+
+  const request = createStreamRequest(element, options);
+  setTimeout(() => startWork(request), 0);
+
+  return {
+    pipe(destination) {
+      if (request.destination) {
+        throw createError("SERVER", "A pipeable stream can only be piped once", "pipe", undefined, { code: "STREAM_ALREADY_PIPED" });
+      }
+
+      request.destination = {
+        write: (chunk) => destination.write(chunk),
+        end: () => destination.end(),
+        error: (error) => (typeof destination.destroy === "function" ? destination.destroy(error) : destination.end()),
+      };
+
+      if (request.fatalError) {
+        request.destination.error(request.fatalError);
+      } else {
+        flushChunks(request);
+      }
+      return destination;
+    },
+    abort(reason) {
+      abortRequest(request, reason);
+    },
+  };
+}
+
+export { renderToReadableStream, renderToPipeableStream };
@@ -0,0 +1,115 @@
+import { createError } from "@/utils/error";
+
+// Props whose attribute name is not the prop name.
+const ATTRIBUTE_ALIASES = {
+  className: "class",
+  htmlFor: "for",
+  acceptCharset: "accept-charset",
+  httpEquiv: "http-equiv",
+};
+
+// Attributes that are present when true and absent when false, by lowercased name.
+const BOOLEAN_ATTRIBUTES = new Set([
+  "allowfullscreen",
+  "async",
+  "autofocus",
+  "autoplay",
+  "checked",
+  "controls",
+  "default",
+  "defer",
+  "disabled",
+  "disablepictureinpicture",
+  "disableremoteplayback",
+  "formnovalidate",
+  "hidden",
+  "inert",
+  "itemscope",
+  "loop",
+  "multiple",
+  "muted",
+  "nomodule",
+  "novalidate",
+  "open",
+  "playsinline",
+  "readonly",
+  "required",
+  "reversed",
+  "scoped",
+  "seamless",
+  "selected",
+]);
+
+// Enumerated attributes that take the strings "true" and "false", by lowercased name.
+const BOOLEANISH_ATTRIBUTES = new Set(["contenteditable", "draggable", "spellcheck", "autoreverse", "externalresourcesrequired", "focusable", "preservealpha"]);
+
+const INVALID_ATTRIBUTE_NAME = /[\s"'>/=]/;
+
+/**
+ * Maps a prop name to its HTML attribute name.
+ * @param {string} name - The prop name.
+ * @returns {string} The attribute name.
+ */
+function getAttributeName(name) {
+  return ATTRIBUTE_ALIASES[name] || name;
+}
+
+/**
+ * Checks whether a string can be used as an attribute name.
+ * @param {string} attributeName - The attribute name.
+ * @returns {boolean} True if the name has no whitespace, quotes, `>`, `/` or `=`.
+ */
+function isValidAttributeName(attributeName) {
+  return attributeName !== "" && !INVALID_ATTRIBUTE_NAME.test(attributeName);
+}
+
+/**
+ * Checks whether an attribute is a boolean attribute, present when true and absent when false.
+ * @param {string} attributeName - The attribute name.
+ * @returns {boolean} True for boolean attributes such as `disabled`.
+ */
+function isBooleanAttribute(attributeName) {
+  return BOOLEAN_ATTRIBUTES.has(attributeName.toLowerCase());
+}
+
+/**
+ * Converts a prop value to the string an attribute is set to.
+ * Boolean attributes are "" when truthy, `data-*`, `aria-*` and enumerated attributes stringify booleans,
+ * and booleans on other attributes, functions, symbols and nullish values mean no attribute.
+ * @param {string} attributeName - The attribute name.
+ * @param {any} value - The prop value.
+ * @returns {string | null} The attribute value, or null if the attribute should be absent.
+ */
+function getAttributeValue(attributeName, value) {
+  if (value == null || typeof value === "function" || typeof value === "symbol") return null;
+
+  const name = attributeName.toLowerCase();
+  if (BOOLEAN_ATTRIBUTES.has(name)) return value ? "" : null;
+
+  if (typeof value === "boolean") {
+    return name.startsWith("data-") || name.startsWith("aria-") || BOOLEANISH_ATTRIBUTES.has(name) ? String(value) : null;
+  }
+  return String(value);
+}
+
+/**
+ * Validates an element's `dangerouslySetInnerHTML` prop.
+ * @param {string} type - The element type, for error messages.
+ * @param {Object} props - The element props.
+ * @returns {string | null} The HTML to set, or null if the prop is absent.
+ * @throws {Error} If the prop is not of the form `{ __html }` or the element also has children.
+ */
+function getInnerHTML(type, props) {
+  const innerHTML = props.dangerouslySetInnerHTML;
+  if (innerHTML == null) return null;
+
+  if (typeof innerHTML !== "object" || !("__html" in innerHTML)) {
+    throw createError("DOM", "`dangerouslySetInnerHTML` must be an object of the form { __html: string }", `<${type}>`, undefined, { code: "INVALID_INNER_HTML" });
+  }
+  if (Array.isArray(props.children) ? props.children.length > 0 : props.children != null) {
+    throw createError("DOM", "Can only set one of `children` or `dangerouslySetInnerHTML`", `<${type}>`, undefined, { code: "INVALID_INNER_HTML" });
+  }
+  return innerHTML.__html == null ? "" : String(innerHTML.__html);
+}
+
+export { getAttributeName, isValidAttributeName, isBooleanAttribute, getAttributeValue, getInnerHTML };
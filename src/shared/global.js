@@ -1,11 +1,9 @@
 // eslint-disable-next-line prefer-const
 export let state = {
   wipFiber: null,
-  wipRoot: null,
-  currentRoot: null,
-  deletions: [],
-  nextUnitOfWork: null,
-  effectQueue: [],
+  roots: new Set(),
+  renderingRoot: null,
   componentHookCounters: new WeakMap(),
   errorBoundaryStack: [],
+  isServerRendering: false,
 };
@@ -0,0 +1,119 @@
+export const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+export const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+export const MATH_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+export const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+export const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+
+// camelCase SVG props whose attribute names are hyphenated or namespaced.
+const SVG_ATTRIBUTE_NAMES = {
+  accentHeight: "accent-height",
+  alignmentBaseline: "alignment-baseline",
+  baselineShift: "baseline-shift",
+  clipPath: "clip-path",
+  clipRule: "clip-rule",
+  colorInterpolation: "color-interpolation",
+  colorInterpolationFilters: "color-interpolation-filters",
+  colorProfile: "color-profile",
+  colorRendering: "color-rendering",
+  dominantBaseline: "dominant-baseline",
+  enableBackground: "enable-background",
+  fillOpacity: "fill-opacity",
+  fillRule: "fill-rule",
+  floodColor: "flood-color",
+  floodOpacity: "flood-opacity",
+  fontFamily: "font-family",
+  fontSize: "font-size",
+  fontSizeAdjust: "font-size-adjust",
+  fontStretch: "font-stretch",
+  fontStyle: "font-style",
+  fontVariant: "font-variant",
+  fontWeight: "font-weight",
+  glyphOrientationHorizontal: "glyph-orientation-horizontal",
+  glyphOrientationVertical: "glyph-orientation-vertical",
+  imageRendering: "image-rendering",
+  letterSpacing: "letter-spacing",
+  lightingColor: "lighting-color",
+  markerEnd: "marker-end",
+  markerMid: "marker-mid",
+  markerStart: "marker-start",
+  overlinePosition: "overline-position",
+  overlineThickness: "overline-thickness",
+  paintOrder: "paint-order",
+  pointerEvents: "pointer-events",
+  shapeRendering: "shape-rendering",
+  stopColor: "stop-color",
+  stopOpacity: "stop-opacity",
+  strikethroughPosition: "strikethrough-position",
+  strikethroughThickness: "strikethrough-thickness",
+  strokeDasharray: "stroke-dasharray",
+  strokeDashoffset: "stroke-dashoffset",
+  strokeLinecap: "stroke-linecap",
+  strokeLinejoin: "stroke-linejoin",
+  strokeMiterlimit: "stroke-miterlimit",
+  strokeOpacity: "stroke-opacity",
+  strokeWidth: "stroke-width",
+  textAnchor: "text-anchor",
+  textDecoration: "text-decoration",
+  textRendering: "text-rendering",
+  underlinePosition: "underline-position",
+  underlineThickness: "underline-thickness",
+  unicodeBidi: "unicode-bidi",
+  vectorEffect: "vector-effect",
+  wordSpacing: "word-spacing",
+  writingMode: "writing-mode",
+  xlinkActuate: "xlink:actuate",
+  xlinkArcrole: "xlink:arcrole",
+  xlinkHref: "xlink:href",
+  xlinkRole: "xlink:role",
+  xlinkShow: "xlink:show",
+  xlinkTitle: "xlink:title",
+  xlinkType: "xlink:type",
+  xmlBase: "xml:base",
+  xmlLang: "xml:lang",
+  xmlSpace: "xml:space",
+};
+
+/**
+ * Determines the namespace of an element from its type and the namespace it is created in.
+ * @param {string | null} parentNamespace - The namespace of the element's context.
+ * @param {string} type - The element type.
+ * @returns {string} The element's own namespace.
+ */
+function getOwnNamespace(parentNamespace, type) {
+  if (type === "svg") return SVG_NAMESPACE;
+  if (type === "math") return MATH_NAMESPACE;
+  return parentNamespace || HTML_NAMESPACE;
+}
+
+/**
+ * Determines the namespace an element's children are created in.
+ * @param {string | null} namespace - The element's own namespace.
+ * @param {string | null} type - The element type.
+ * @returns {string} The namespace for the element's children.
+ */
+function getChildNamespace(namespace, type) {
+  if (namespace === SVG_NAMESPACE && type === "foreignObject") return HTML_NAMESPACE;
+  return namespace || HTML_NAMESPACE;
+}
+
+/**
+ * Maps a prop name to its SVG attribute name.
+ * @param {string} name - The prop name.
+ * @returns {string} The attribute name.
+ */
+function getSvgAttributeName(name) {
+  return SVG_ATTRIBUTE_NAMES[name] || name;
+}
+
+/**
+ * Returns the namespace an attribute must be set with, if any.
+ * @param {string} attributeName - The attribute name.
+ * @returns {string | null} The attribute namespace, or null for un-namespaced attributes.
+ */
+function getAttributeNamespace(attributeName) {
+  if (attributeName.startsWith("xlink:")) return XLINK_NAMESPACE;
+  if (attributeName.startsWith("xml:")) return XML_NAMESPACE;
+  return null;
+}
+
+export { getOwnNamespace, getChildNamespace, getSvgAttributeName, getAttributeNamespace };
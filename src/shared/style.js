@@ -0,0 +1,104 @@
+// Style properties that take plain numbers, so numeric values are not given a `px` unit.
+const UNITLESS_STYLE_PROPERTIES = new Set([
+  "animationIterationCount",
+  "aspectRatio",
+  "borderImageOutset",
+  "borderImageSlice",
+  "borderImageWidth",
+  "boxFlex",
+  "boxFlexGroup",
+  "boxOrdinalGroup",
+  "columnCount",
+  "columns",
+  "flex",
+  "flexGrow",
+  "flexPositive",
+  "flexShrink",
+  "flexNegative",
+  "flexOrder",
+  "gridArea",
+  "gridRow",
+  "gridRowEnd",
+  "gridRowSpan",
+  "gridRowStart",
+  "gridColumn",
+  "gridColumnEnd",
+  "gridColumnSpan",
+  "gridColumnStart",
+  "fontWeight",
+  "lineClamp",
+  "lineHeight",
+  "opacity",
+  "order",
+  "orphans",
+  "scale",
+  "tabSize",
+  "widows",
+  "zIndex",
+  "zoom",
+  "fillOpacity",
+  "floodOpacity",
+  "stopOpacity",
+  "strokeDasharray",
+  "strokeDashoffset",
+  "strokeMiterlimit",
+  "strokeOpacity",
+  "strokeWidth",
+]);
+
+const VENDOR_PREFIX = /^(Webkit|Moz|ms|O)(?=[A-Z])/;
+
+/**
+ * Converts a camelCase style property to its CSS name.
+ * @param {string} name - The style property name.
+ * @returns {string} The hyphenated CSS property name.
+ */
+function hyphenateStyleName(name) {
+  if (name.startsWith("--")) return name;
+  return name
+    .replace(/([A-Z])/g, "-$1")
+    .toLowerCase()
+    .replace(/^ms-/, "-ms-");
+}
+
+/**
+ * Checks whether a style property takes unitless numbers, including its vendor-prefixed and hyphenated forms.
+ * @param {string} name - The style property name.
+ * @returns {boolean} True if numbers are used as is.
+ */
+function isUnitlessStyle(name) {
+  if (name.startsWith("--")) return true;
+
+  const camelName = name.replace(/^-ms-/, "ms-").replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  const baseName = camelName.replace(VENDOR_PREFIX, "");
+  return UNITLESS_STYLE_PROPERTIES.has(baseName[0].toLowerCase() + baseName.slice(1));
+}
+
+/**
+ * Converts a style value to its CSS text, adding `px` to non-zero numbers of properties that need a unit.
+ * @param {string} name - The style property name.
+ * @param {any} value - The style value.
+ * @returns {string} The CSS value, or an empty string for nullish, boolean and empty values.
+ */
+function getStyleValue(name, value) {
+  if (value == null || typeof value === "boolean" || value === "") return "";
+  if (typeof value === "number" && value !== 0 && !isUnitlessStyle(name)) return `${value}px`;
+  return String(value).trim();
+}
+
+/**
+ * Serializes a style object into a CSS declaration string.
+ * @param {Record<string, any> | string} style - The style prop.
+ * @returns {string} The CSS text.
+ */
+function serializeStyle(style) {
+  if (typeof style === "string") return style;
+
+  return Object.keys(style)
+    .map((name) => [name, getStyleValue(name, style[name])])
+    .filter(([, value]) => value !== "")
+    .map(([name, value]) => `${hyphenateStyleName(name)}:${value}`)
+    .join(";");
+}
+
+export { getStyleValue, serializeStyle };
@@ -0,0 +1,64 @@
+/**
+ * Host config that renders Jepsh fibers into plain in-memory objects, so components can be tested without a DOM.
+ */
+const testHostConfig = {
+  createInstance(type, props) {
+    return { type, props, children: [], parent: null };
+  },
+
+  createTextInstance(text) {
+    return { text, parent: null };
+  },
+
+  appendChild(parent, child) {
+    removeFromParent(child);
+    parent.children.push(child);
+    child.parent = parent;
+  },
+
+  insertBefore(parent, child, before) {
+    removeFromParent(child);
+    const index = parent.children.indexOf(before);
+    if (index === -1) {
+      parent.children.push(child);
+    } else {
+      parent.children.splice(index, 0, child);
+    }
+    child.parent = parent;
+  },
+
+  removeChild(parent, child) {
+    const index = parent.children.indexOf(child);
+    if (index !== -1) parent.children.splice(index, 1);
+    child.parent = null;
+  },
+
+  prepareUpdate(instance, type, oldProps, newProps) {
+    return oldProps !== newProps ? true : null;
+  },
+
+  commitUpdate(instance, updatePayload, type, oldProps, newProps) {
+    instance.props = newProps;
+  },
+
+  commitTextUpdate(textInstance, oldText, newText) {
+    textInstance.text = newText;
+  },
+
+  scheduleWork(callback) {
+    setTimeout(() => callback({ timeRemaining: () => Infinity }), 0);
+  },
+};
+
+/**
+ * Detaches an in-memory instance from its current parent before it is inserted elsewhere.
+ * @param {{ parent: { children: Object[] } | null }} instance - The instance.
+ */
+function removeFromParent(instance) {
+  if (!instance.parent) return;
+  const index = instance.parent.children.indexOf(instance);
+  if (index !== -1) instance.parent.children.splice(index, 1);
+  instance.parent = null;
+}
+
+export { testHostConfig };
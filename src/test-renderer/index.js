@@ -0,0 +1,8 @@
+import { create } from "./renderer";
+
+const JepshTestRenderer = {
+  create,
+};
+
+export default JepshTestRenderer;
+export { create };
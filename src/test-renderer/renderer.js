@@ -0,0 +1,249 @@
+import { testHostConfig } from "./host-config";
+
+import { createRenderer } from "@/core/renderer";
+import { createError } from "@/utils/error";
+
+const testRenderer = createRenderer(testHostConfig);
+const NON_INSTANCE_TYPES = new Set(["FRAGMENT", "SUSPENSE", "SUSPENSE_LIST", "CONTEXT_PROVIDER", "PORTAL", "TEXT_ELEMENT"]);
+
+/**
+ * Converts an in-memory host node to its JSON snapshot.
+ * @param {Object} node - The host instance or text instance.
+ * @returns {string | { type: string, props: Object, children: Array<Object | string> | null }} The snapshot.
+ */
+function toJSONNode(node) {
+  if (node.text !== undefined) return node.text;
+
+  const { children, key, ...props } = node.props || {};
+  return {
+    type: node.type,
+    props,
+    children: node.children.length > 0 ? node.children.map(toJSONNode) : null,
+  };
+}
+
+/**
+ * Checks whether a fiber is exposed as a test instance: a function component or a host element.
+ * @param {Object} fiber - The fiber.
+ * @returns {boolean} True if the fiber becomes a test instance.
+ */
+function isInstanceFiber(fiber) {
+  return typeof fiber.type === "function" || (typeof fiber.type === "string" && !NON_INSTANCE_TYPES.has(fiber.type));
+}
+
+/**
+ * Collects the test instances and text directly below a fiber, looking through fragments, providers and portals.
+ * @param {Object} fiber - The fiber.
+ * @param {Array<Object | string>} [children=[]] - The collected children.
+ * @returns {Array<Object | string>} The child test instances and strings.
+ */
+function collectChildren(fiber, children = []) {
+  for (let child = fiber.child; child; child = child.sibling) {
+    if (child.type === "TEXT_ELEMENT") {
+      children.push(child.props.nodeValue == null ? "" : String(child.props.nodeValue));
+    } else if (isInstanceFiber(child)) {
+      children.push(createTestInstance(child));
+    } else {
+      collectChildren(child, children);
+    }
+  }
+  return children;
+}
+
+/**
+ * Checks whether an instance's props include every given prop.
+ * @param {Object} props - The instance props.
+ * @param {Object} expected - The props to match.
+ * @returns {boolean} True if every expected prop matches.
+ */
+function matchesProps(props, expected) {
+  return Object.keys(expected).every((key) => Object.is(props?.[key], expected[key]));
+}
+
+/**
+ * Returns exactly one match, or throws describing how many were found.
+ * @param {Object[]} matches - The matching instances.
+ * @param {string} method - The query name, for error messages.
+ * @param {string} description - What was searched for.
+ * @returns {Object} The single match.
+ * @throws {Error} If there is not exactly one match.
+ */
+function expectOne(matches, method, description) {
+  if (matches.length === 0) {
+    throw createError("TEST", `No instances found ${description}`, method, undefined, { code: "INSTANCE_NOT_FOUND" });
+  }
+  if (matches.length > 1) {
+    throw createError("TEST", `Expected 1 but found ${matches.length} instances ${description}`, method, undefined, { code: "MULTIPLE_INSTANCES_FOUND" });
+  }
+  return matches[0];
+}
+
+/**
+ * Describes an element type for query error messages.
+ * @param {string | Function} type - The element type.
+ * @returns {string} The type name.
+ */
+function describeType(type) {
+  return typeof type === "function" ? type.name || "Anonymous" : String(type);
+}
+
+/**
+ * Wraps a committed fiber in a queryable test instance.
+ * @param {Object} fiber - A function component or host element fiber.
+ * @returns {Object} The test instance.
+ */
+function createTestInstance(fiber) {
+  const instance = {
+    fiber,
+    type: fiber.type,
+    props: fiber.props,
+    instance: typeof fiber.type === "string" ? fiber.dom : null,
+
+    get parent() {
+      let parent = fiber.parent;
+      while (parent && !isInstanceFiber(parent)) {
+        parent = parent.parent;
+      }
+      return parent ? createTestInstance(parent) : null;
+    },
+
+    get children() {
+      return collectChildren(fiber);
+    },
+
+    /**
+     * The hooks stored on the fiber, by key.
+     * @returns {Object} A snapshot of the hooks.
+     */
+    get hooks() {
+      return { ...(fiber.hooks || {}) };
+    },
+
+    /**
+     * Reads the state held by a hook: `state` for useState and useReducer, `current` for useRef and `value` for useMemo and useCallback.
+     * @param {string} key - The hook key.
+     * @returns {any} The hook's state, or the hook object for other hooks.
+     * @throws {Error} If the fiber has no hook with that key.
+     */
+    getHookState(key) {
+      const hook = fiber.hooks?.[key];
+      if (!hook) {
+        throw createError("TEST", `No hook found with key "${key}"`, describeType(fiber.type), key, { code: "HOOK_NOT_FOUND", fiber });
+      }
+      if ("state" in hook) return hook.state;
+      if ("current" in hook) return hook.current;
+      if ("value" in hook) return hook.value;
+      return hook;
+    },
+
+    findAll(predicate, options = { deep: true }) {
+      const matches = [];
+      const visit = (node) => {
+        const matched = predicate(node);
+        if (matched) matches.push(node);
+        if (!matched || options.deep) {
+          node.children.forEach((child) => typeof child !== "string" && visit(child));
+        }
+      };
+      visit(instance);
+      return matches;
+    },
+
+    find(predicate) {
+      return expectOne(instance.findAll(predicate, { deep: false }), "find", "matching the predicate");
+    },
+
+    findAllByType(type, options) {
+      return instance.findAll((node) => node.type === type, options);
+    },
+
+    findByType(type) {
+      return expectOne(instance.findAllByType(type, { deep: false }), "findByType", `with node type: "${describeType(type)}"`);
+    },
+
+    findAllByProps(props, options) {
+      return instance.findAll((node) => matchesProps(node.props, props), options);
+    },
+
+    findByProps(props) {
+      return expectOne(instance.findAllByProps(props, { deep: false }), "findByProps", `with props: ${JSON.stringify(props)}`);
+    },
+  };
+
+  return instance;
+}
+
+/**
+ * Renders an element into an in-memory tree, synchronously.
+ * @param {{ type: string | Function, props: Object, key?: string | null }} element - The element to render.
+ * @returns {{ root: Object, toJSON: () => any, update: (element: any) => void, unmount: () => void }} The test renderer handle.
+ * @throws {Error} If the element is missing.
+ */
+function create(element) {
+  if (!element) {
+    throw createError("TEST", "Element to render is required", "create", undefined, { code: "MISSING_ELEMENT" });
+  }
+
+  const container = { children: [], parent: null };
+  const root = testRenderer.createContainer(container);
+  let unmounted = false;
+
+  testRenderer.updateContainer(element, root);
+  testRenderer.flushWork(root);
+
+  return {
+    /**
+     * The test instance of the rendered element.
+     * @returns {Object} The root test instance.
+     * @throws {Error} If the tree has been unmounted or rendered nothing.
+     */
+    get root() {
+      const fiber = root.current?.child;
+      if (!fiber) {
+        throw createError("TEST", "Can't access .root on an unmounted or empty test renderer", "root", undefined, { code: "ROOT_UNMOUNTED" });
+      }
+
+      if (isInstanceFiber(fiber)) return createTestInstance(fiber);
+
+      const [first] = collectChildren(fiber);
+      if (!first || typeof first === "string") {
+        throw createError("TEST", "The rendered tree has no root instance", "root", undefined, { code: "INSTANCE_NOT_FOUND" });
+      }
+      return first;
+    },
+
+    /**
+     * Snapshots the rendered host tree.
+     * @returns {any} The host element as JSON, an array for several top-level nodes, or null when nothing is rendered.
+     */
+    toJSON() {
+      if (container.children.length === 0) return null;
+      if (container.children.length === 1) return toJSONNode(container.children[0]);
+      return container.children.map(toJSONNode);
+    },
+
+    /**
+     * Re-renders the tree with a new element, synchronously.
+     * @param {{ type: string | Function, props: Object, key?: string | null }} nextElement - The element to render.
+     * @throws {Error} If the renderer has been unmounted.
+     */
+    update(nextElement) {
+      if (unmounted) {
+        throw createError("TEST", "Cannot update a test renderer that has been unmounted", "update", undefined, { code: "ROOT_UNMOUNTED" });
+      }
+      testRenderer.updateContainer(nextElement, root);
+      testRenderer.flushWork(root);
+    },
+
+    /**
+     * Unmounts the tree, running every effect cleanup.
+     */
+    unmount() {
+      if (unmounted) return;
+      unmounted = true;
+      testRenderer.unmountContainer(root);
+    },
+  };
+}
+
+export { create };
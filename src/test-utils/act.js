@@ -0,0 +1,95 @@
+import { LANES } from "@/core/constants";
+import { flushBatchedUpdates, flushEffects, batchUpdates } from "@/core/scheduler";
+import { getNextLanes } from "@/core/lanes";
+import { flushRootSync } from "@/core/root";
+import { state as globalState } from "@/shared/global";
+import { createError } from "@/utils/error";
+
+const MAX_ACT_PASSES = 1000;
+
+let actScopeDepth = 0;
+
+/**
+ * Drains every root's pending work: batched updates, rendering, commits and passive effects,
+ * repeating until effects stop scheduling new updates.
+ * @throws {Error} If updates keep scheduling more updates.
+ */
+function flushActWork() {
+  for (let pass = 0; pass < MAX_ACT_PASSES; pass++) {
+    let didWork = false;
+    flushBatchedUpdates();
+
+    globalState.roots.forEach((root) => {
+      if (root.wipRoot || getNextLanes(root) !== LANES.NONE) {
+        flushRootSync(root);
+        didWork = true;
+      }
+      if (root.effectQueue.length > 0) {
+        flushEffects(root);
+        didWork = true;
+      }
+    });
+
+    if (!didWork) return;
+  }
+
+  throw createError("ACT", `Updates were still pending after ${MAX_ACT_PASSES} passes; an effect may be updating state on every render`, "act", undefined, {
+    code: "ACT_UPDATE_LOOP",
+  });
+}
+
+/**
+ * Leaves an act scope, flushing all pending work when it was the outermost one.
+ */
+function exitActScope() {
+  actScopeDepth--;
+  if (actScopeDepth === 0) {
+    flushActWork();
+  }
+}
+
+/**
+ * Runs a callback that renders or updates components, then synchronously flushes batched updates,
+ * renders and commits every root, and runs passive effects, so assertions see the settled tree.
+ * If the callback returns a promise, the work is flushed once it resolves and a promise is returned.
+ * @template T
+ * @param {() => T | Promise<T>} callback - The callback that triggers updates.
+ * @returns {T | Promise<T>} The callback's result, or a promise of it for async callbacks.
+ * @throws {Error} If the callback is not a function.
+ */
+function act(callback) {
+  if (typeof callback !== "function") {
+    throw createError("ACT", "act expects a function as its argument", "act", undefined, { code: "INVALID_ARGUMENT" });
+  }
+
+  actScopeDepth++;
+  /** @type {any} */
+  let result;
+
+  try {
+    batchUpdates(() => {
+      result = callback();
+    });
+  } catch (error) {
+    exitActScope();
+    throw error;
+  }
+
+  if (result && typeof result.then === "function") {
+    return Promise.resolve(result).then(
+      (value) => {
+        exitActScope();
+        return value;
+      },
+      (error) => {
+        exitActScope();
+        throw error;
+      }
+    );
+  }
+
+  exitActScope();
+  return result;
+}
+
+export { act };
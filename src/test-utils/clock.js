@@ -0,0 +1,20 @@
+/**
+ * Creates a manually advanced clock to pass to `setSchedulerClock`, so time slicing never yields unless a test advances time.
+ * @param {number} [startTime=0] - The initial time, in milliseconds.
+ * @returns {{ now: () => number, advance: (ms: number) => void }} The fake clock.
+ */
+function createFakeClock(startTime = 0) {
+  let currentTime = startTime;
+
+  return {
+    now() {
+      return currentTime;
+    },
+
+    advance(ms) {
+      currentTime += ms;
+    },
+  };
+}
+
+export { createFakeClock };
@@ -0,0 +1,13 @@
+import { act } from "./act";
+import { createFakeClock } from "./clock";
+
+import { setSchedulerClock } from "@/core/task-scheduler";
+
+const JepshTestUtils = {
+  act,
+  createFakeClock,
+  setSchedulerClock,
+};
+
+export default JepshTestUtils;
+export { act, createFakeClock, setSchedulerClock };
@@ -1,34 +1,94 @@
+/**
+ * An error raised by Jepsh. Besides its formatted message, it records where it was raised, so error boundaries,
+ * `onError` callbacks and loggers can tell errors apart without parsing messages.
+ */
+class JepshError extends Error {
+  /**
+   * @param {string} message - The formatted error message.
+   * @param {{
+   *   code?: string,
+   *   type?: string,
+   *   phase?: string | null,
+   *   componentName?: string,
+   *   hookKey?: string | null,
+   *   componentStack?: string | null,
+   *   cause?: unknown,
+   * }} [details] - A machine-readable code such as `HOOK_OUTSIDE_COMPONENT`, the error's type (e.g. HOOK, EFFECT), the phase it was
+   * raised in, the component and hook it was raised in, the component stack, and the error that caused it.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "JepshError";
+    this.code = details.code || details.type || "UNKNOWN";
+    this.type = details.type || "UNKNOWN";
+    this.phase = details.phase || null;
+    this.componentName = details.componentName || "Unknown";
+    this.hookKey = details.hookKey || null;
+    this.componentStack = details.componentStack || null;
+    if (details.cause !== undefined) {
+      this.cause = details.cause;
+    }
+  }
+}
+
 /**
  * Creates a custom error object for Jepsh-specific errors.
  * @param {string} type - The type of error (e.g., HOOK, EFFECT).
  * @param {string} message - The error message.
  * @param {string} [component="Unknown"] - The component name where the error occurred.
  * @param {string} [hookKey] - The hook key, if applicable.
- * @returns {Error} The custom error object.
+ * @param {{ code?: string, phase?: string, fiber?: any, cause?: unknown }} [details] - The error's code, which defaults to its type,
+ * the phase it was raised in, the fiber whose component stack it reports, and the error that caused it.
+ * @returns {JepshError} The custom error object.
  */
-function createError(type, message, component, hookKey) {
+function createError(type, message, component, hookKey, details = {}) {
   const componentName = component || "Unknown";
   const hookInfo = hookKey ? ` (hook: ${hookKey})` : "";
   const fullMessage = `[Jepsh ${type}] ${message} in ${componentName}${hookInfo}`;
-  const error = new Error(fullMessage);
-  return error;
+  return new JepshError(fullMessage, {
+    code: details.code,
+    type,
+    phase: details.phase,
+    componentName,
+    hookKey,
+    componentStack: details.fiber ? getComponentStack(details.fiber) : null,
+    cause: details.cause,
+  });
 }
 
 /**
- * Enhances a generic error with Jepsh-specific context.
- * @param {Error} error - The original error.
+ * Enhances an error with the context it was caught in. A `JepshError` keeps its code and message and gains the context it
+ * lacks; any other error, e.g. one thrown by a component, is wrapped in a `JepshError` whose `cause` is the original error.
+ * @param {any} error - The original error.
  * @param {{ component?: string, phase?: string, fiber?: any }} context - Additional context for the error.
- * @returns {Error} The enhanced error object.
+ * @returns {JepshError} The enhanced error object.
  */
 function enhanceError(error, context) {
-  const enhanced = new Error(`[Jepsh] ${error.message}`);
-  enhanced.stack = error.stack;
+  const componentName = context.component || context.fiber?.type?.name || "Unknown";
+  const componentStack = context.fiber ? getComponentStack(context.fiber) : null;
+
+  if (error instanceof JepshError) {
+    if (!error.phase) error.phase = context.phase || null;
+    if (error.componentName === "Unknown") error.componentName = componentName;
+    if (!error.componentStack) error.componentStack = componentStack;
+    return error;
+  }
+
+  const enhanced = new JepshError(`[Jepsh] ${error?.message ?? String(error)}`, {
+    code: "RUNTIME_ERROR",
+    type: "RUNTIME",
+    phase: context.phase,
+    componentName,
+    componentStack,
+    cause: error,
+  });
+  if (error?.stack) enhanced.stack = error.stack;
   return enhanced;
 }
 
 /**
  * Generates a component stack trace for error reporting.
- * @param {{ type?: string | { name?: string }, parent?: any }} fiber - The fiber to start the stack trace from.
+ * @param {{ type?: string | { name?: string, displayName?: string }, parent?: any }} fiber - The fiber to start the stack trace from.
  * @returns {string} The formatted component stack trace.
  */
 function getComponentStack(fiber) {
@@ -37,7 +97,8 @@ function getComponentStack(fiber) {
 
   while (current) {
     if (current.type && typeof current.type === "function") {
-      stack.push(`  in ${current.type.name || "Unknown"}`);
+      const type = /** @type {{ name?: string, displayName?: string }} */ (current.type);
+      stack.push(`  in ${type.displayName || type.name || "Unknown"}`);
     } else if (current.type && typeof current.type === "string") {
       stack.push(`  in ${current.type}`);
     }
@@ -48,8 +109,9 @@ function getComponentStack(fiber) {
 }
 
 /**
- * Checks if one fiber is an ancestor of another.
- * @param {{ parent?: any }} ancestor - The potential ancestor fiber.
+ * Checks if one fiber is an ancestor of another. A component gets a new fiber whenever it re-renders or is skipped by
+ * a render, so fibers of the same component instance, which share their instance object, count as the same ancestor.
+ * @param {{ parent?: any, instance?: Object }} ancestor - The potential ancestor fiber.
  * @param {{ parent?: any }} descendant - The potential descendant fiber.
  * @returns {boolean} True if ancestor is an ancestor of descendant, false otherwise.
  */
@@ -58,10 +120,10 @@ function isAncestor(ancestor, descendant) {
 
   let current = descendant.parent;
   while (current) {
-    if (current === ancestor) return true;
+    if (current === ancestor || (!!ancestor.instance && current.instance === ancestor.instance)) return true;
     current = current.parent;
   }
   return false;
 }
 
-export { createError, enhanceError, getComponentStack, isAncestor };
+export { JepshError, createError, enhanceError, getComponentStack, isAncestor };
@@ -29,4 +29,13 @@ function validateHookUsage(hookName, key, fiber) {
   }
 }
 
-export { validateHookUsage };
+/**
+ * Checks whether a value is a thenable (promise-like object), as thrown by a component that suspends.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value has a `then` method.
+ */
+function isThenable(value) {
+  return value != null && typeof value.then === "function";
+}
+
+export { validateHookUsage, isThenable };